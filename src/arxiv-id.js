@@ -0,0 +1,111 @@
+// ArXiv Tab Enhancer Identifier Parsing
+// Turns any arXiv URL or ID into one canonical paper ID, so every version and page kind
+// of a paper shares the same cache entry, group and tab match
+
+// URL patterns for tabs the extension manages, for chrome.tabs.query
+const ARXIV_TAB_URL_PATTERNS = ['https://arxiv.org/abs/*', 'https://arxiv.org/pdf/*'];
+
+// Listing, search and catch-up pages, which get their own content script
+const ARXIV_LISTING_URL_PATTERNS = ['https://arxiv.org/list/*', 'https://arxiv.org/search/*', 'https://arxiv.org/catchup/*'];
+
+// Every page kind a paper is read in, including the HTML rendering the content script skips
+const ARXIV_READING_URL_PATTERNS = [...ARXIV_TAB_URL_PATTERNS, 'https://arxiv.org/html/*'];
+
+// New-style IDs: YYMM.NNNN (2007-2014) or YYMM.NNNNN (2015 on)
+const NEW_STYLE_ID_PATTERN = /^(\d{4}\.\d{4,5})(?:v(\d+))?$/;
+
+// Old-style IDs: archive[.SUBJECT-CLASS]/YYMMNNN, e.g. hep-th/9901001 or math.GT/0309136
+const OLD_STYLE_ID_PATTERN = /^([a-z][a-z-]*)(?:\.[A-Z]{2})?\/(\d{7})(?:v(\d+))?$/;
+
+// Page kinds arxiv.org serves a paper under
+const ARXIV_PAGE_KINDS = ['abs', 'pdf', 'html', 'format', 'src'];
+
+// Subject codes as arXiv prints them after subject names: (cs.CL), (hep-th), (math.AG)
+const ARXIV_SUBJECT_CODE_PATTERN = /\(([a-z-]+(?:\.[A-Za-z-]+)?)\)/;
+
+class ArxivIdParser {
+  // Accepts URLs (abs, pdf, html, with or without version, ".pdf", query or hash),
+  // "arXiv:" prefixed IDs and bare IDs. Returns null for anything else.
+  parse(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    let rawId = input.trim();
+    let kind = null;
+
+    const urlMatch = rawId.match(/^(?:https?:\/\/)?(?:www\.|export\.)?arxiv\.org\/([a-z]+)\/([^?#]+)/i);
+    if (urlMatch) {
+      kind = urlMatch[1].toLowerCase();
+      if (!ARXIV_PAGE_KINDS.includes(kind)) return null;
+      rawId = urlMatch[2];
+    } else if (/^[a-z]+:\/\//i.test(rawId)) {
+      return null;
+    }
+
+    rawId = rawId
+      .replace(/^arxiv:/i, '')
+      .replace(/\/+$/, '')
+      .replace(/\.pdf$/i, '');
+
+    const newMatch = rawId.match(NEW_STYLE_ID_PATTERN);
+    if (newMatch) {
+      return this.buildResult(newMatch[1], newMatch[2], null, kind);
+    }
+
+    const oldMatch = rawId.match(OLD_STYLE_ID_PATTERN);
+    if (oldMatch) {
+      // The subject class is not part of the canonical ID: math.GT/0309136 is math/0309136
+      return this.buildResult(`${oldMatch[1]}/${oldMatch[2]}`, oldMatch[3], oldMatch[1], kind);
+    }
+
+    return null;
+  }
+
+  buildResult(id, version, archive, kind) {
+    const versionNumber = version ? parseInt(version, 10) : null;
+    return {
+      id: id,
+      version: versionNumber,
+      versionedId: versionNumber ? `${id}v${versionNumber}` : id,
+      archive: archive,
+      kind: kind
+    };
+  }
+
+  // Canonical ID without version, or null if the input is not an arXiv paper
+  getPaperId(input) {
+    const parsed = this.parse(input);
+    return parsed ? parsed.id : null;
+  }
+
+  // True for abs and pdf tabs, the pages the content script runs on
+  isPaperUrl(url) {
+    const parsed = this.parse(url);
+    return !!parsed && (parsed.kind === 'abs' || parsed.kind === 'pdf');
+  }
+
+  // "abs", "pdf", ... for paper URLs; empty for bare IDs and other pages
+  getPageKind(url) {
+    const parsed = this.parse(url);
+    return parsed && parsed.kind ? parsed.kind : '';
+  }
+
+  // "Computation and Language (cs.CL)" -> "cs.CL". Text without a code, like a bare "cs.CL",
+  // is returned trimmed.
+  getSubjectCode(subject) {
+    const text = String(subject || '').trim();
+    const match = text.match(ARXIV_SUBJECT_CODE_PATTERN);
+    return match ? match[1] : text;
+  }
+
+  // Every code in a subjects line, in order and without repeats:
+  // "Computation and Language (cs.CL); Machine Learning (cs.LG)" -> ['cs.CL', 'cs.LG']
+  getSubjectCodes(subjects) {
+    const pattern = new RegExp(ARXIV_SUBJECT_CODE_PATTERN.source, 'g');
+    return [...new Set(Array.from(String(subjects || '').matchAll(pattern), match => match[1]))];
+  }
+
+  getUrl(paperId, kind = 'abs', version = null) {
+    const versionSuffix = version ? `v${version}` : '';
+    return `https://arxiv.org/${kind}/${paperId}${versionSuffix}`;
+  }
+}
@@ -0,0 +1,150 @@
+// ArXiv Tab Enhancer Author Matching
+// Parses author names into given and family names, so liked authors match on whole names
+// rather than substrings: "Li" matches "Wei Li" but not "Lin" or "Oliveira".
+
+// Lowercase words that belong to the family name: "van der Maaten", "de la Cruz"
+const NAME_PARTICLES = ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'dos', 'das', 'du', 'la', 'le', 'ten', 'ter', 'bin', 'ibn', 'al', 'el', 'st'];
+
+// Generational suffixes, dropped before matching
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv'];
+
+// Letters that don't decompose into a base letter and an accent
+const NAME_TRANSLITERATIONS = {
+  'ß': 'ss', 'ø': 'o', 'ł': 'l', 'æ': 'ae', 'œ': 'oe', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i'
+};
+
+class ArxivAuthorMatcher {
+  // Lowercase ASCII: "Müller" -> "muller", "Łukasz" -> "lukasz"
+  normalizeText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[ßøłæœđðþı]/g, char => NAME_TRANSLITERATIONS[char])
+      .normalize('NFD')
+      .replace(/[̀-ͯ]/g, '');
+  }
+
+  // German umlauts are also written with an e: Müller as Mueller, Schröder as Schroeder.
+  // Only names that have the umlaut get this spelling, so Xue and Xu stay apart.
+  expandUmlauts(text) {
+    return String(text || '')
+      .normalize('NFC')
+      .replace(/[äöüÄÖÜ]/g, char => ({ ä: 'ae', ö: 'oe', ü: 'ue', Ä: 'Ae', Ö: 'Oe', Ü: 'Ue' })[char]);
+  }
+
+  // Whether two parsed name parts are the same, as written or with an umlaut spelled out on
+  // either side
+  isSamePart(a, b, part) {
+    return a[part] === b[part] || a.umlaut[part] === b[part] || a[part] === b.umlaut[part];
+  }
+
+  // Given and family name words and any generational suffix. Handles "Last, First",
+  // "First Last", initials ("Y. LeCun", "J.-P. Serre"), particles and suffixes ("King, Jr.,
+  // Martin Luther"). Initials are split apart and lose their dots for matching; asWritten
+  // keeps every word as written, for citations.
+  splitName(name, { asWritten = false } = {}) {
+    const suffix = [];
+    const keepUnlessSuffix = text => {
+      if (!text) return false;
+      if (!NAME_SUFFIXES.includes(text.toLowerCase().replace(/\./g, ''))) return true;
+      suffix.push(text);
+      return false;
+    };
+
+    const parts = String(name || '')
+      .split(',')
+      .map(part => part.trim())
+      .filter(keepUnlessSuffix);
+
+    const tokenize = text => (asWritten
+      ? text.split(/\s+/)
+      : text.replace(/\./g, '. ').split(/\s+/).map(token => token.replace(/\.$/, '')))
+      .filter(keepUnlessSuffix);
+
+    let given;
+    let family;
+    if (parts.length >= 2) {
+      // "LeCun, Yann" or "LeCun, Y."
+      family = tokenize(parts[0]);
+      given = tokenize(parts.slice(1).join(' '));
+    } else {
+      const tokens = tokenize(parts[0] || '');
+      let familyStart = tokens.length - 1;
+      while (familyStart > 0 && NAME_PARTICLES.includes(tokens[familyStart - 1].toLowerCase())) {
+        familyStart--;
+      }
+      given = tokens.slice(0, Math.max(familyStart, 0));
+      family = tokens.slice(Math.max(familyStart, 0));
+    }
+    return { given, family, suffix };
+  }
+
+  // A name's parts as written, for citations: "Laurens van der Maaten" is given "Laurens",
+  // particle "van der", family "Maaten"; "Martin Luther King Jr." has suffix "Jr.". Only
+  // lowercase particles are split off: "Van Gogh" stays one family name.
+  getNameParts(name) {
+    const { given, family, suffix } = this.splitName(name, { asWritten: true });
+    let particleEnd = 0;
+    while (particleEnd < family.length - 1 && NAME_PARTICLES.includes(family[particleEnd])) {
+      particleEnd++;
+    }
+    return {
+      given: given.join(' '),
+      particle: family.slice(0, particleEnd).join(' '),
+      family: family.slice(particleEnd).join(' '),
+      suffix: suffix.join(' ')
+    };
+  }
+
+  // Family name as written, for titles and group names: "Vaswani", "van der Maaten", "LeCun"
+  getFamilyName(name) {
+    return this.splitName(name).family.join(' ');
+  }
+
+  // { given: ['yann'], family: ['lecun'], familyCore: 'lecun', firstGiven: 'yann', umlaut },
+  // lowercase and accent-free. umlaut has familyCore and firstGiven with umlauts spelled
+  // out, for matching "Müller" against "Mueller".
+  parseName(name) {
+    const parsed = this.parseNormalized(this.normalizeText(name));
+    const spelledOut = this.parseNormalized(this.normalizeText(this.expandUmlauts(name)));
+    return { ...parsed, umlaut: { familyCore: spelledOut.familyCore, firstGiven: spelledOut.firstGiven } };
+  }
+
+  parseNormalized(normalizedName) {
+    const { given: givenWords, family } = this.splitName(normalizedName);
+
+    // Given names split on hyphens so "J.-P." and "Jean-Pierre" line up
+    const given = givenWords.flatMap(token => token.split('-')).filter(token => token);
+    const core = family.filter(token => !NAME_PARTICLES.includes(token));
+
+    return {
+      given: given,
+      family: family,
+      familyCore: (core.length > 0 ? core : family).join(' ').replace(/[^a-z\s-]/g, ''),
+      firstGiven: given.length > 0 ? given[0] : ''
+    };
+  }
+
+  // One key per person as far as names can tell: family name plus first initial, e.g.
+  // "lecun y" for "Yann LeCun", "Y. LeCun" and "LeCun, Yann"
+  getNameKey(name) {
+    const parsed = this.parseName(name);
+    const initial = parsed.given.length > 0 ? parsed.given[0][0] : '';
+    return initial ? `${parsed.familyCore} ${initial}` : parsed.familyCore;
+  }
+
+  isMatch(fullAuthorName, likedAuthorName) {
+    const author = this.parseName(fullAuthorName);
+    const liked = this.parseName(likedAuthorName);
+
+    if (!author.familyCore || !this.isSamePart(author, liked, 'familyCore')) return false;
+
+    // A liked family name alone ("LeCun") matches everyone with that family name
+    if (liked.given.length === 0 || author.given.length === 0) return true;
+
+    // First given names must agree, as full names or as an initial of the other
+    if (author.firstGiven.length === 1 || liked.firstGiven.length === 1) {
+      return author.firstGiven[0] === liked.firstGiven[0];
+    }
+    return this.isSamePart(author, liked, 'firstGiven');
+  }
+}
@@ -1,32 +1,227 @@
 // ArXiv Tab Enhancer Background Script
 // Manages tab title updates and data caching
 
+importScripts('arxiv-id.js', 'title-template.js', 'settings.js', 'authors.js', 'group-colors.js', 'liked-authors.js', 'grouping.js', 'paper-schema.js', 'paper-store.js', 'metadata-service.js', 'library.js', 'sessions.js', 'versions.js', 'citation.js', 'backup.js', 'sync.js');
+
+// Links to papers on any site, for the link context menu
+const ARXIV_LINK_URL_PATTERNS = [
+  '*://arxiv.org/abs/*', '*://arxiv.org/pdf/*', '*://arxiv.org/html/*',
+  '*://www.arxiv.org/abs/*', '*://www.arxiv.org/pdf/*', '*://export.arxiv.org/abs/*'
+];
+
+// Hover previews run on every site once the user turns them on and grants access
+const LINK_PREVIEW_SCRIPT_ID = 'link-previews';
+const LINK_PREVIEW_ORIGINS = ['<all_urls>'];
+
+// Author links on abstract pages: /a/vaswani_a or an author search
+const ARXIV_AUTHOR_LINK_URL_PATTERNS = ['https://arxiv.org/a/*', 'https://arxiv.org/search/*'];
+
+// Putting back a paper tab's title: the first time after a second, giving the content
+// script's guard the first go, then twice as long each time the page changes it again,
+// starting over once the tab has been left alone for a while
+const TITLE_RESTORE_MIN_DELAY_MS = 1000;
+const TITLE_RESTORE_MAX_DELAY_MS = 60000;
+const TITLE_RESTORE_QUIET_MS = 60000;
+
 class ArxivBackgroundManager {
   constructor() {
     this.setupMessageListener();
     this.setupTabListeners();
+    this.setupAlarmListener();
+    this.setupCommandListener();
+    this.setupContextMenuListener();
     this.paperCache = new Map();
-    this.authorGroups = new Map(); // Track tab groups by author
-    this.tabAuthors = new Map(); // Track author by tab ID
+    this.authorGroups = new Map(); // Track tab groups by grouping key (author, category or tag)
+    this.tabAuthors = new Map(); // Track grouping key by tab ID
+    this.userPlacedTabs = new Map(); // Paper ID by tab, for tabs the user put in a group; automatic grouping leaves them alone
+    this.groupingQueues = new Map(); // Last queued grouping run by grouping key
+    this.titleRestores = new Map(); // Pending title restore and backoff by tab ID
+    this.grouper = new ArxivGrouper();
+    this.groupColors = new ArxivGroupColors();
+    this.idParser = new ArxivIdParser();
+    this.metadataService = new ArxivMetadataService();
+    this.library = new ArxivLibrary();
+    this.sessions = new ArxivSessions();
+    this.versionTracker = new ArxivVersionTracker();
+    this.paperSchema = new ArxivPaperSchema();
+    this.paperStore = new ArxivPaperStore({ background: true });
+    this.settings = new ArxivSettings();
+    this.settingsReady = this.loadSettings();
+    this.registryReady = this.restoreGroupRegistry();
+    this.storeReady = this.migrateToPaperStore();
+    this.sync = new ArxivSync();
+    this.sync.listen();
+    this.syncReady = this.startSync();
+  }
+
+  async loadSettings() {
+    await this.settings.load();
+    this.metadataService.endpoint = this.settings.get('metadataEndpoint');
+
+    this.settings.onChange((changedKeys, values) => {
+      console.log('Settings changed:', changedKeys);
+      if (changedKeys.includes('groupingEnabled')) {
+        if (values.groupingEnabled) {
+          this.regroupAll();
+        } else {
+          this.ungroupOpenTabs();
+        }
+      } else if (changedKeys.includes('groupingStrategy')) {
+        this.regroupAll({ reset: true });
+      }
+      if (changedKeys.includes('cacheMaxMegabytes')) {
+        this.cleanupCache();
+      }
+      if (changedKeys.includes('metadataEndpoint')) {
+        this.metadataService.endpoint = values.metadataEndpoint;
+      }
+      if (changedKeys.includes('versionCheckHours')) {
+        this.scheduleVersionCheck();
+      }
+      if (changedKeys.includes('linkPreviewsEnabled')) {
+        this.updateLinkPreviewScript();
+      }
+    });
+    this.scheduleVersionCheck();
+    this.updateLinkPreviewScript();
+    
+    // Access to all sites can be granted or revoked from chrome://extensions too
+    chrome.permissions.onAdded.addListener(() => this.updateLinkPreviewScript());
+    chrome.permissions.onRemoved.addListener(() => this.updateLinkPreviewScript());
+    
+    // Tags decide group membership for the tag strategy; liked-author profiles can override
+    // any strategy and carry group labels and colors
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+      
+      const strategy = this.settings.get('groupingStrategy');
+      if ((changes.paperTags && strategy === 'tag') || changes[LIKED_AUTHORS_STORAGE_KEY]) {
+        this.regroupAll({ reset: true });
+      }
+      if (changes[LIBRARY_STORAGE_KEY]) {
+        this.syncSavedPapers(changes[LIBRARY_STORAGE_KEY].newValue);
+        this.updateVersionBadge();
+      }
+    });
   }
 
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === 'updateTabTitle') {
-        this.updateTabTitle(sender.tab.id, message.title, message.paperData, message.authorColor)
+        this.updateTabTitle(sender.tab.id, message.title, message.paperData)
           .then(() => sendResponse({ success: true }))
           .catch(error => sendResponse({ error: error.message }));
         return true; // Keep message channel open for async response
       } else if (message.action === 'createAuthorGroup') {
-        this.createAuthorGroup(sender.tab.id, message.paperData, message.authorColor)
+        this.createAuthorGroup(sender.tab.id, message.paperData)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'getPaper') {
+        this.getCachedData(message.paperId)
+          .then(paperData => sendResponse({ paperData }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'getPapers') {
+        this.getCachedPapers(message.paperIds)
+          .then(papers => sendResponse({ papers }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'cachePaper') {
+        this.cacheData(message.paperData)
           .then(() => sendResponse({ success: true }))
           .catch(error => sendResponse({ error: error.message }));
         return true; // Keep message channel open for async response
+      } else if (message.action === 'removePaper') {
+        this.removeCachedData(message.paperId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'lookupPaper') {
+        this.lookupPaper(message.paperId)
+          .then(paperData => sendResponse({ paperData }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'regroupAll') {
+        this.regroupAll({ windowId: message.windowId })
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'saveSession') {
+        this.captureSession(message.windowId, message.name)
+          .then(session => sendResponse({ session }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'restoreSession') {
+        this.restoreSession(message.sessionId)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'findDuplicates') {
+        this.findDuplicateTabs(message.windowId)
+          .then(duplicates => sendResponse({ duplicates }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'closeDuplicates') {
+        this.closeDuplicateTabs({ windowId: message.windowId, paperId: message.paperId, keep: message.keep })
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'getVersionNotices') {
+        this.getVersionNotices()
+          .then(notices => sendResponse({ notices }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'checkVersions') {
+        this.checkForNewVersions()
+          .then(notices => sendResponse({ notices }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'dismissVersionNotice') {
+        this.dismissVersionNotice(message.paperId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'openPapersInGroups') {
+        this.openPapersInGroups(message.paperIds, sender.tab)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'reopenPaper') {
+        this.reopenPaper(message.paperId, message.windowId)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'getGroupColor') {
+        this.getGroupColor(message.tabId)
+          .then(groupColor => sendResponse(groupColor))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'pinGroupColor') {
+        this.pinGroupColor(message.tabId, message.color)
+          .then(groupColor => sendResponse(groupColor))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'getLinkPreview') {
+        this.getLinkPreview(message.paperId)
+          .then(preview => sendResponse(preview))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep message channel open for async response
+      } else if (message.action === 'syncNow') {
+        this.sync.sync()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
       } else if (message.action === 'getStats') {
         this.getStats().then(stats => sendResponse(stats));
         return true; // Keep message channel open for async response
-      } else if (message.action === 'clearMemoryCache') {
-        this.paperCache.clear();
+      } else if (message.action === 'paperStoreChanged') {
+        // The popup, options page or a backup import wrote these papers, or all of them
+        if (message.paperIds) {
+          message.paperIds.forEach(paperId => this.paperCache.delete(paperId));
+        } else {
+          this.paperCache.clear();
+        }
         sendResponse({ success: true });
       }
       return false; // Don't keep channel open for other messages
@@ -36,9 +231,16 @@ class ArxivBackgroundManager {
   setupTabListeners() {
     // Listen for tab updates to handle navigation within ArXiv
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.url) {
+        this.handleTabNavigation(tabId, changeInfo.url);
+      }
       if (changeInfo.status === 'complete' && tab.url) {
         this.handleTabUpdate(tabId, tab.url);
       }
+      // Fallback for the content script's title guard
+      if (changeInfo.title && tab.url) {
+        this.handleTitleChange(tabId, changeInfo.title, tab.url);
+      }
     });
 
     // Listen for tab activation to potentially restore cached titles
@@ -50,9 +252,354 @@ class ArxivBackgroundManager {
     chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
       this.handleTabRemoval(tabId);
     });
+    
+    // Forget groups the user closes or ungroups by hand
+    chrome.tabGroups.onRemoved.addListener((group) => {
+      this.handleGroupRemoval(group.id);
+    });
+  }
+
+  setupAlarmListener() {
+    // Registered on every worker start so the alarm can wake the worker up
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === VERSION_CHECK_ALARM) {
+        this.checkForNewVersions();
+      } else if (alarm.name === SYNC_RETRY_ALARM) {
+        this.sync.sync();
+      }
+    });
   }
 
-  async updateTabTitle(tabId, newTitle, paperData, authorColor) {
+  setupCommandListener() {
+    // Keyboard shortcuts declared under "commands" in the manifest
+    chrome.commands.onCommand.addListener((command, tab) => {
+      this.handleCommand(command, tab);
+    });
+  }
+
+  async handleCommand(command, tab) {
+    try {
+      if (!tab) {
+        [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      }
+      if (!tab) return;
+      console.log(`Running command ${command} for tab ${tab.id}`);
+      
+      if (command === 'next-group-tab') {
+        await this.focusGroupNeighbor(tab, 1);
+      } else if (command === 'previous-group-tab') {
+        await this.focusGroupNeighbor(tab, -1);
+      } else if (command === 'toggle-abs-pdf') {
+        await this.toggleAbsPdf(tab);
+      } else if (command === 'copy-citation') {
+        await this.copyCitation(tab);
+      } else if (command === 'regroup-window') {
+        await this.regroupAll({ windowId: tab.windowId });
+      } else if (command === 'collapse-other-groups') {
+        await this.collapseOtherGroups(tab);
+      }
+    } catch (error) {
+      console.error(`Failed to run command ${command}:`, error);
+    }
+  }
+  
+  // Move to the next (direction 1) or previous (-1) tab of the tab's group, wrapping around
+  async focusGroupNeighbor(tab, direction) {
+    if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return;
+    
+    const tabs = await chrome.tabs.query({ groupId: tab.groupId });
+    tabs.sort((a, b) => a.index - b.index);
+    const position = tabs.findIndex(groupTab => groupTab.id === tab.id);
+    const neighbor = tabs[(position + direction + tabs.length) % tabs.length];
+    if (neighbor && neighbor.id !== tab.id) {
+      await chrome.tabs.update(neighbor.id, { active: true });
+    }
+  }
+  
+  // Abs pages switch to the PDF and every other page kind to the abs page, keeping the version
+  async toggleAbsPdf(tab) {
+    const parsed = this.idParser.parse(tab.url);
+    if (!parsed) return;
+    
+    const kind = parsed.kind === 'abs' ? 'pdf' : 'abs';
+    await chrome.tabs.update(tab.id, { url: this.idParser.getUrl(parsed.id, kind, parsed.version) });
+  }
+  
+  // The worker has no clipboard, so the tab's content script writes the citation
+  async copyCitation(tab, paperIdOrUrl = tab.url) {
+    const paperData = await this.lookupPaper(paperIdOrUrl);
+    if (!paperData) {
+      console.log(`No paper data to cite for ${paperIdOrUrl}`);
+      return;
+    }
+    
+    const text = new ArxivCitationFormatter().format([paperData], 'bibtex');
+    await this.writeToClipboard(tab.id, text);
+  }
+  
+  // The worker has no clipboard. Shortcuts and menu clicks grant activeTab, which lets us
+  // write to the clipboard from the page the user is on, whatever site it is.
+  async writeToClipboard(tabId, text) {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: (clipboardText) => navigator.clipboard.writeText(clipboardText),
+        args: [text]
+      });
+    } catch (error) {
+      // Browser pages like chrome:// can't be scripted
+      console.log(`Could not copy to clipboard in tab ${tabId}:`, error.message);
+    }
+  }
+  
+  async collapseOtherGroups(tab) {
+    const groups = await chrome.tabGroups.query({ windowId: tab.windowId });
+    await Promise.all(groups.map(group =>
+      chrome.tabGroups.update(group.id, { collapsed: group.id !== tab.groupId })
+    ));
+  }
+
+  setupContextMenuListener() {
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      this.handleContextMenuClick(info, tab);
+    });
+    
+    // The "Move to group" submenu lists the open groups
+    const refresh = () => this.scheduleContextMenuRefresh();
+    chrome.tabGroups.onCreated.addListener(refresh);
+    chrome.tabGroups.onUpdated.addListener(refresh);
+    chrome.tabGroups.onRemoved.addListener(refresh);
+  }
+  
+  scheduleContextMenuRefresh() {
+    clearTimeout(this.contextMenuTimer);
+    this.contextMenuTimer = setTimeout(() => this.createContextMenus(), 500);
+  }
+  
+  // Menus outlive the worker but not group IDs, so they are rebuilt on install, on browser
+  // start and whenever groups change
+  async createContextMenus() {
+    try {
+      await chrome.contextMenus.removeAll();
+      
+      const onPaperLinks = { contexts: ['link'], targetUrlPatterns: ARXIV_LINK_URL_PATTERNS };
+      chrome.contextMenus.create({ id: 'open-in-group', title: 'Open in its group', ...onPaperLinks });
+      chrome.contextMenus.create({ id: 'open-pdf-in-group', title: 'Open PDF in its group', ...onPaperLinks });
+      chrome.contextMenus.create({ id: 'add-to-library', title: 'Add to reading list', ...onPaperLinks });
+      chrome.contextMenus.create({ id: 'copy-bibtex', title: 'Copy BibTeX', ...onPaperLinks });
+      chrome.contextMenus.create({ id: 'like-first-author', title: 'Like first author', ...onPaperLinks });
+      
+      chrome.contextMenus.create({
+        id: 'like-page-author',
+        title: 'Like this author',
+        contexts: ['link'],
+        targetUrlPatterns: ARXIV_AUTHOR_LINK_URL_PATTERNS,
+        documentUrlPatterns: ARXIV_TAB_URL_PATTERNS
+      });
+      chrome.contextMenus.create({
+        id: 'like-selected-author',
+        title: 'Like author "%s"',
+        contexts: ['selection'],
+        documentUrlPatterns: ARXIV_TAB_URL_PATTERNS
+      });
+      
+      chrome.contextMenus.create({
+        id: 'move-to-group',
+        title: 'Move to group…',
+        contexts: ['page'],
+        documentUrlPatterns: ARXIV_TAB_URL_PATTERNS
+      });
+      const groups = await chrome.tabGroups.query({});
+      for (const group of groups) {
+        chrome.contextMenus.create({
+          id: `move-to-group:${group.id}`,
+          parentId: 'move-to-group',
+          title: group.title || `Untitled ${group.color} group`,
+          contexts: ['page'],
+          documentUrlPatterns: ARXIV_TAB_URL_PATTERNS
+        });
+      }
+      chrome.contextMenus.create({
+        id: 'move-to-group:none',
+        parentId: 'move-to-group',
+        title: 'Remove from group',
+        contexts: ['page'],
+        documentUrlPatterns: ARXIV_TAB_URL_PATTERNS
+      });
+    } catch (error) {
+      console.error('Failed to create context menus:', error);
+    }
+  }
+  
+  async handleContextMenuClick(info, tab) {
+    try {
+      const menuItemId = String(info.menuItemId);
+      console.log(`Context menu ${menuItemId} clicked`, info.linkUrl || tab.url);
+      
+      if (menuItemId.startsWith('move-to-group:')) {
+        await this.moveTabToGroup(tab.id, menuItemId.substring('move-to-group:'.length));
+      } else if (menuItemId === 'open-in-group') {
+        await this.openInGroup(info.linkUrl, 'abs', tab);
+      } else if (menuItemId === 'open-pdf-in-group') {
+        await this.openInGroup(info.linkUrl, 'pdf', tab);
+      } else if (menuItemId === 'add-to-library') {
+        // Looking the paper up caches it, and saving pins it in the cache
+        await this.lookupPaper(info.linkUrl);
+        await this.library.save(info.linkUrl);
+      } else if (menuItemId === 'copy-bibtex') {
+        await this.copyCitation(tab, info.linkUrl);
+      } else if (menuItemId === 'like-first-author') {
+        const paperData = await this.lookupPaper(info.linkUrl);
+        if (paperData && paperData.authorsList && paperData.authorsList.length > 0) {
+          await this.likeAuthor(paperData.authorsList[0]);
+        }
+      } else if (menuItemId === 'like-page-author') {
+        await this.likeAuthor(await this.getAuthorFromLink(info.linkUrl, tab.url));
+      } else if (menuItemId === 'like-selected-author') {
+        await this.likeAuthor(info.selectionText);
+      }
+    } catch (error) {
+      console.error('Failed to handle context menu click:', error);
+    }
+  }
+  
+  // Open a linked paper next to the page it was linked from and group it right away
+  async openInGroup(linkUrl, kind, sourceTab, active = false) {
+    const parsed = this.idParser.parse(linkUrl);
+    if (!parsed) return null;
+    
+    const paperData = await this.lookupPaper(parsed.id);
+    const tab = await chrome.tabs.create({
+      url: this.idParser.getUrl(parsed.id, kind, parsed.version),
+      windowId: sourceTab.windowId,
+      active: active
+    });
+    if (paperData) {
+      await this.manageAuthorGrouping(tab.id, paperData);
+    }
+    return tab;
+  }
+  
+  // Reopen a paper found in the popup's search, as the page kind it was last seen as
+  async reopenPaper(paperId, windowId) {
+    const paperData = await this.getCachedData(paperId);
+    const parsed = paperData && paperData.url ? this.idParser.parse(paperData.url) : null;
+    const kind = parsed && parsed.kind === 'pdf' ? 'pdf' : 'abs';
+    
+    const tab = await this.openInGroup(paperId, kind, { windowId }, true);
+    return { tabId: tab ? tab.id : null };
+  }
+  
+  // Open papers picked on a listing page, each in its group
+  async openPapersInGroups(paperIds, sourceTab) {
+    // Look them all up first so uncached papers go to the export API as one batch
+    await Promise.all(paperIds.map(paperId => this.lookupPaper(paperId)));
+    for (const paperId of paperIds) {
+      await this.openInGroup(paperId, 'abs', sourceTab);
+    }
+    return { opened: paperIds.length };
+  }
+  
+  // The group a tab was put in by us, its color and whether that color is pinned
+  async getGroupColor(tabId) {
+    await this.registryReady;
+    
+    const key = this.tabAuthors.get(tabId);
+    const groupId = key ? this.authorGroups.get(key) : null;
+    if (!groupId) {
+      return { key: null };
+    }
+    
+    const [group] = await Promise.all([
+      chrome.tabGroups.get(groupId),
+      this.groupColors.load(),
+      this.grouper.likedAuthors.load()
+    ]);
+    const profile = key.startsWith('liked:') ? this.grouper.likedAuthors.get(key.substring('liked:'.length)) : null;
+    
+    return {
+      key: key,
+      title: group.title,
+      color: group.color,
+      pinned: profile ? profile.color : this.groupColors.getPin(key)
+    };
+  }
+  
+  // Pins a color to the tab's group, or unpins it when color is empty, and recolors the group.
+  // Liked authors keep their pin in their profile.
+  async pinGroupColor(tabId, color) {
+    await this.registryReady;
+    
+    const key = this.tabAuthors.get(tabId);
+    if (!key) {
+      throw new Error('This tab is not in an ArXiv group');
+    }
+    
+    if (key.startsWith('liked:')) {
+      await this.grouper.likedAuthors.update(key.substring('liked:'.length), { color: color || null });
+    } else {
+      await this.groupColors.pin(key, color);
+    }
+    
+    const groupId = this.authorGroups.get(key);
+    if (groupId && TAB_GROUP_COLORS.includes(color)) {
+      await chrome.tabGroups.update(groupId, { color });
+    }
+    return this.getGroupColor(tabId);
+  }
+  
+  async moveTabToGroup(tabId, target) {
+    await this.registryReady;
+    
+    // Where the user puts a tab is where it stays, until it goes on to another paper
+    const tab = await chrome.tabs.get(tabId);
+    this.userPlacedTabs.set(tabId, this.idParser.getPaperId(tab.url));
+    
+    if (target === 'none') {
+      await chrome.tabs.ungroup(tabId);
+      this.tabAuthors.delete(tabId);
+    } else {
+      const groupId = parseInt(target, 10);
+      await chrome.tabs.group({ groupId, tabIds: [tabId] });
+      
+      // Keep the registry right if the group is one of ours
+      const entry = Array.from(this.authorGroups.entries()).find(([key, id]) => id === groupId);
+      if (entry) {
+        this.tabAuthors.set(tabId, entry[0]);
+      } else {
+        this.tabAuthors.delete(tabId);
+      }
+    }
+    this.persistGroupRegistry();
+  }
+  
+  // Author links carry a "Last, F" query or a /a/last_f path. Prefer the full name as it
+  // appears on the paper, falling back to the surname.
+  async getAuthorFromLink(linkUrl, pageUrl) {
+    const url = new URL(linkUrl);
+    const linked = url.searchParams.get('query') || url.pathname.replace(/^\/a\//, '').replace(/_/g, ', ');
+    const surname = linked.split(',')[0].trim();
+    if (!surname) return null;
+    
+    const [paperData, context] = await Promise.all([this.getCachedData(pageUrl), this.grouper.loadContext()]);
+    const authorsList = paperData && paperData.authorsList ? paperData.authorsList : [];
+    const fullName = authorsList.find(author => context.authorMatcher.isMatch(author, linked));
+    return fullName || surname;
+  }
+  
+  async likeAuthor(authorName) {
+    const name = (authorName || '').trim();
+    if (!name) return;
+    
+    try {
+      await this.grouper.likedAuthors.add(name);
+      console.log('Added liked author:', name);
+    } catch (error) {
+      console.log(`Could not like ${name}:`, error.message); // Usually already liked
+    }
+  }
+
+  async updateTabTitle(tabId, newTitle, paperData) {
     try {
       console.log(`updateTabTitle called for tab ${tabId}: ${newTitle}`);
       console.log(`Paper data:`, paperData);
@@ -63,14 +610,16 @@ class ArxivBackgroundManager {
       // Cache the paper data
       if (paperData && paperData.id) {
         await this.cacheData(paperData);
+        // Opening the newest version clears its notice
+        this.updateVersionBadge();
       }
       
-      // Apply author-based grouping and colors
-      if (paperData && paperData.firstAuthor) {
-        console.log(`Attempting to group tab ${tabId} by author: ${paperData.firstAuthor}`);
-        await this.manageAuthorGrouping(tabId, paperData, authorColor);
+      // Apply strategy-based grouping and colors
+      if (paperData) {
+        console.log(`Attempting to group tab ${tabId}: ${paperData.title}`);
+        await this.manageAuthorGrouping(tabId, paperData);
       } else {
-        console.log(`No firstAuthor found for tab ${tabId}`);
+        console.log(`No paper data found for tab ${tabId}`);
       }
       
       console.log(`Successfully processed tab ${tabId}`);
@@ -80,7 +629,7 @@ class ArxivBackgroundManager {
     }
   }
 
-  async createAuthorGroup(tabId, paperData, authorColor) {
+  async createAuthorGroup(tabId, paperData) {
     try {
       console.log(`createAuthorGroup called for tab ${tabId}`);
       console.log(`Paper data:`, paperData);
@@ -90,12 +639,12 @@ class ArxivBackgroundManager {
         await this.cacheData(paperData);
       }
       
-      // Apply author-based grouping and colors
-      if (paperData && paperData.firstAuthor) {
-        console.log(`Attempting to group tab ${tabId} by author: ${paperData.firstAuthor}`);
-        await this.manageAuthorGrouping(tabId, paperData, authorColor);
+      // Apply strategy-based grouping and colors
+      if (paperData) {
+        console.log(`Attempting to group tab ${tabId}: ${paperData.title}`);
+        await this.manageAuthorGrouping(tabId, paperData);
       } else {
-        console.log(`No firstAuthor found for tab ${tabId}`);
+        console.log(`No paper data found for tab ${tabId}`);
       }
       
       console.log(`Successfully processed grouping for tab ${tabId}`);
@@ -107,25 +656,75 @@ class ArxivBackgroundManager {
 
   async handleTabUpdate(tabId, url) {
     // Check if this is an ArXiv URL and if we have cached data
-    if (this.isArxivUrl(url)) {
-      const paperId = this.extractPaperId(url);
-      if (paperId) {
-        const cachedData = await this.getCachedData(paperId);
-        if (cachedData && cachedData.title) {
-          // Use cached data to set title immediately
-          let title = cachedData.title;
-          if (title.length > 60) {
-            title = title.substring(0, 57) + '...';
-          }
-          
-          if (cachedData.category) {
-            const categoryShort = cachedData.category.split('.')[0];
-            title = `[${categoryShort}] ${title}`;
-          }
-          
-          this.updateTabTitle(tabId, title, cachedData);
-        }
-      }
+    const cached = await this.getCachedTitle(url);
+    if (cached) {
+      this.updateTabTitle(tabId, cached.title, cached.paperData);
+    }
+  }
+  
+  // The title a paper tab should have, built from cached data like every other title, or null
+  // for other tabs and papers not cached yet
+  async getCachedTitle(url) {
+    if (!this.idParser.isPaperUrl(url)) return null;
+    
+    let cachedData = await this.getCachedData(this.idParser.getPaperId(url));
+    if (!cachedData || !cachedData.title) return null;
+    
+    // Records from an import or the export API may not name the author to title by yet
+    if (!cachedData.firstAuthor) {
+      cachedData = { ...cachedData, firstAuthor: await this.getPreferredAuthor(cachedData.authorsList) };
+    }
+    
+    const titleBuilder = await this.getTitleBuilder();
+    return { title: titleBuilder.build(cachedData, url), paperData: cachedData };
+  }
+
+  // The content script guards the title, but tabs opened before install or left behind by an
+  // extension reload have none, so the title is put back from here too, with backoff.
+  async handleTitleChange(tabId, currentTitle, url) {
+    const cached = await this.getCachedTitle(url);
+    if (!cached || cached.title === currentTitle) return;
+    
+    const restore = this.titleRestores.get(tabId) || { timer: null, delay: 0, restoredAt: 0 };
+    if (restore.timer) return; // Already scheduled; it checks the title when it runs
+    
+    if (Date.now() - restore.restoredAt > TITLE_RESTORE_QUIET_MS) {
+      restore.delay = TITLE_RESTORE_MIN_DELAY_MS;
+    }
+    restore.timer = setTimeout(() => this.restoreTitle(tabId, url, cached.title), restore.delay);
+    this.titleRestores.set(tabId, restore);
+  }
+
+  async restoreTitle(tabId, url, title) {
+    const restore = this.titleRestores.get(tabId);
+    if (!restore) return; // Tab closed meanwhile
+    restore.timer = null;
+    
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.url !== url || tab.title === title) return; // Navigated away, or the content script got there first
+      
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: (newTitle) => { document.title = newTitle; },
+        args: [title]
+      });
+      restore.restoredAt = Date.now();
+      restore.delay = Math.min(restore.delay * 2, TITLE_RESTORE_MAX_DELAY_MS);
+    } catch (error) {
+      // Tab closed, or a page that can't be scripted
+      console.log(`Could not restore title in tab ${tabId}:`, error.message);
+    }
+  }
+
+  // A tab the user placed that goes on to another paper is grouped automatically again
+  async handleTabNavigation(tabId, url) {
+    await this.registryReady;
+    
+    const placedPaperId = this.userPlacedTabs.get(tabId);
+    if (placedPaperId !== undefined && this.idParser.getPaperId(url) !== placedPaperId) {
+      this.userPlacedTabs.delete(tabId);
+      this.persistGroupRegistry();
     }
   }
 
@@ -133,7 +732,7 @@ class ArxivBackgroundManager {
     // Optional: Could implement tab-specific behavior when tabs are activated
     try {
       const tab = await chrome.tabs.get(tabId);
-      if (tab.url && this.isArxivUrl(tab.url)) {
+      if (tab.url && this.idParser.isPaperUrl(tab.url)) {
         // Tab is an ArXiv page, could implement additional logic here
       }
     } catch (error) {
@@ -142,6 +741,19 @@ class ArxivBackgroundManager {
   }
   
   async handleTabRemoval(tabId) {
+    const restore = this.titleRestores.get(tabId);
+    if (restore) {
+      clearTimeout(restore.timer);
+      this.titleRestores.delete(tabId);
+    }
+    
+    await this.registryReady;
+    this.updateVersionBadge();
+    
+    if (this.userPlacedTabs.delete(tabId)) {
+      this.persistGroupRegistry();
+    }
+    
     // Clean up author mapping when tab is removed
     const author = this.tabAuthors.get(tabId);
     if (author) {
@@ -164,60 +776,171 @@ class ArxivBackgroundManager {
           this.authorGroups.delete(author);
         }
       }
+      this.persistGroupRegistry();
+    }
+  }
+  
+  async handleGroupRemoval(groupId) {
+    await this.registryReady;
+    
+    for (const [key, id] of this.authorGroups) {
+      if (id === groupId) {
+        this.authorGroups.delete(key);
+        console.log(`Group ${groupId} for ${key} was removed`);
+      }
+    }
+    this.persistGroupRegistry();
+  }
+  
+  // Save the group registries so a restarted service worker can pick them up again
+  async persistGroupRegistry() {
+    try {
+      await chrome.storage.session.set({
+        groupRegistry: {
+          authorGroups: Array.from(this.authorGroups.entries()),
+          tabAuthors: Array.from(this.tabAuthors.entries()),
+          userPlacedTabs: Array.from(this.userPlacedTabs.entries())
+        }
+      });
+    } catch (error) {
+      console.error('Failed to persist group registry:', error);
+    }
+  }
+  
+  // Rebuild the group registries after the service worker was stopped. Session storage
+  // survives worker restarts; after a browser restart group IDs change, so the registries
+  // are also rebuilt from the groups, open ArXiv tabs and paper cache.
+  async restoreGroupRegistry() {
+    try {
+      await this.settingsReady;
+      
+      const [session, groups, tabs] = await Promise.all([
+        chrome.storage.session.get('groupRegistry'),
+        chrome.tabGroups.query({}),
+        chrome.tabs.query({ url: ARXIV_TAB_URL_PATTERNS })
+      ]);
+      const groupsById = new Map(groups.map(group => [group.id, group]));
+      const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+      
+      // Keep saved entries whose group and tab still exist
+      const saved = session.groupRegistry || { authorGroups: [], tabAuthors: [] };
+      for (const [key, groupId] of saved.authorGroups) {
+        if (groupsById.has(groupId)) {
+          this.authorGroups.set(key, groupId);
+        }
+      }
+      for (const [tabId, key] of saved.tabAuthors) {
+        const tab = tabsById.get(tabId);
+        if (tab && tab.groupId === this.authorGroups.get(key)) {
+          this.tabAuthors.set(tabId, key);
+        }
+      }
+      for (const [tabId, paperId] of saved.userPlacedTabs || []) {
+        if (tabsById.has(tabId)) {
+          this.userPlacedTabs.set(tabId, paperId);
+        }
+      }
+      
+      // Adopt grouped ArXiv tabs the saved state doesn't know about
+      const context = await this.grouper.loadContext();
+      const strategy = this.settings.get('groupingStrategy');
+      for (const tab of tabs) {
+        if (this.tabAuthors.has(tab.id) || this.userPlacedTabs.has(tab.id) || !groupsById.has(tab.groupId)) continue;
+        
+        const paperData = await this.getCachedData(tab.url);
+        const group = await this.grouper.getGroup(strategy, paperData, context);
+        if (!group || groupsById.get(tab.groupId).title !== group.title) continue;
+        
+        const knownGroupId = this.authorGroups.get(group.key);
+        if (knownGroupId === undefined || knownGroupId === tab.groupId) {
+          this.authorGroups.set(group.key, tab.groupId);
+          this.tabAuthors.set(tab.id, group.key);
+        }
+      }
+      
+      console.log(`Restored ${this.authorGroups.size} groups and ${this.tabAuthors.size} grouped tabs`);
+      await this.persistGroupRegistry();
+    } catch (error) {
+      console.error('Failed to restore group registry:', error);
     }
   }
 
-  isArxivUrl(url) {
-    return url && (url.includes('arxiv.org/abs/') || url.includes('arxiv.org/pdf/'));
+  async getTitleBuilder() {
+    await this.settingsReady;
+    return new ArxivTitleBuilder(this.settings.get('titleTemplate'), this.settings.get('titleMaxLength'));
   }
 
-  extractPaperId(url) {
-    const match = url.match(/\/(?:abs|pdf)\/([^/?]+)/);
-    return match ? match[1] : null;
+  // Cached data if we have it, otherwise a (batched, rate-limited) export API lookup
+  async lookupPaper(paperIdOrUrl) {
+    const cachedData = await this.getCachedData(paperIdOrUrl);
+    if (cachedData && cachedData.title && cachedData.firstAuthor) {
+      return cachedData;
+    }
+    
+    await this.settingsReady;
+    const paperData = await this.metadataService.lookup(paperIdOrUrl);
+    if (!paperData) {
+      return null;
+    }
+    
+    paperData.firstAuthor = await this.getPreferredAuthor(paperData.authorsList);
+    await this.cacheData(paperData);
+    return paperData;
+  }
+  
+  async getPreferredAuthor(authorsList) {
+    if (!authorsList || authorsList.length === 0) return null;
+    
+    const context = await this.grouper.loadContext();
+    const match = context.likedAuthors.findMatch(authorsList, ['auto', 'always']);
+    return match ? match.author : authorsList[0];
   }
 
   async cacheData(paperData) {
     try {
-      const cacheKey = `arxiv_${paperData.id}`;
-      await chrome.storage.local.set({
-        [cacheKey]: {
-          ...paperData,
-          timestamp: Date.now()
-        }
-      });
+      // Always store under the canonical ID, whatever URL the data came from
+      const paperId = this.idParser.getPaperId(paperData.id);
+      if (!paperId) {
+        console.warn('Not caching paper with unrecognized ID:', paperData.id);
+        return;
+      }
+      
+      // Keep what earlier visits and checks recorded, like the versions seen
+      await this.storeReady;
+      const existing = await this.paperStore.get(paperId);
+      const record = {
+        ...this.versionTracker.mergeRecord(existing, { ...paperData, id: paperId }),
+        timestamp: Date.now()
+      };
+      await this.paperStore.put(record);
       
       // Also keep in memory cache for faster access
-      this.paperCache.set(paperData.id, paperData);
+      this.paperCache.set(paperId, record);
       
-      // Clean up old cache entries (keep last 100 papers)
       this.cleanupCache();
     } catch (error) {
       console.error('Failed to cache paper data:', error);
     }
   }
 
-  async getCachedData(paperId) {
+  async getCachedData(paperIdOrUrl) {
     try {
+      const paperId = this.idParser.getPaperId(paperIdOrUrl);
+      if (!paperId) return null;
+      
       // Check memory cache first
       if (this.paperCache.has(paperId)) {
         return this.paperCache.get(paperId);
       }
       
-      // Check storage cache
-      const cacheKey = `arxiv_${paperId}`;
-      const result = await chrome.storage.local.get(cacheKey);
-      
-      if (result[cacheKey]) {
-        const data = result[cacheKey];
-        // Check if cache is not too old (30 days)
-        const maxAge = 30 * 24 * 60 * 60 * 1000;
-        if (Date.now() - data.timestamp < maxAge) {
-          this.paperCache.set(paperId, data);
-          return data;
-        } else {
-          // Remove expired cache
-          chrome.storage.local.remove(cacheKey);
-        }
+      await Promise.all([this.settingsReady, this.storeReady]);
+      const data = await this.paperStore.get(paperId);
+      if (data && this.isFresh(data)) {
+        this.paperCache.set(paperId, data);
+        return data;
+      } else if (data) {
+        // Remove expired cache
+        this.paperStore.remove(paperId);
       }
       
       return null;
@@ -226,6 +949,84 @@ class ArxivBackgroundManager {
       return null;
     }
   }
+  
+  // Fresh cached records for many papers at once, keyed by paper ID
+  async getCachedPapers(paperIds) {
+    await Promise.all([this.settingsReady, this.storeReady]);
+    const ids = [...new Set(paperIds.map(paperId => this.idParser.getPaperId(paperId)).filter(paperId => paperId))];
+    const records = await this.paperStore.getMany(ids);
+    return Object.fromEntries(Object.entries(records).filter(([, record]) => this.isFresh(record)));
+  }
+  
+  // Saved papers never expire; other records are fetched again after cacheTtlDays
+  isFresh(record) {
+    const maxAge = this.settings.get('cacheTtlDays') * 24 * 60 * 60 * 1000;
+    return !!record.saved || Date.now() - (record.timestamp || 0) < maxAge;
+  }
+  
+  async removeCachedData(paperIdOrUrl) {
+    const paperId = this.idParser.getPaperId(paperIdOrUrl);
+    if (!paperId) return;
+    
+    await this.storeReady;
+    await this.paperStore.remove(paperId);
+    this.paperCache.delete(paperId);
+  }
+  
+  // Older versions kept papers in chrome.storage.local as arxiv_* keys. Move them into the
+  // paper store once, then keep its saved flags in step with the library.
+  async migrateToPaperStore() {
+    try {
+      await this.library.load();
+      const moved = await this.paperStore.migrateFromStorage(this.library.getSavedIds());
+      if (moved > 0) {
+        console.log(`Moved ${moved} cached papers to the paper store`);
+      }
+      await this.paperStore.setSaved(this.library.getSavedIds());
+    } catch (error) {
+      console.error('Failed to migrate to the paper store:', error);
+    }
+  }
+  
+  // Settings may need migrating before they're pushed anywhere
+  async startSync() {
+    await this.settingsReady;
+    await this.sync.sync();
+  }
+  
+  async syncSavedPapers(entries) {
+    try {
+      await this.storeReady;
+      await this.paperStore.setSaved(Object.keys(entries || {}));
+      this.paperCache.clear();
+    } catch (error) {
+      console.error('Failed to sync saved papers:', error);
+    }
+  }
+
+  // Bring cached data from an older version up to date: records to the current schema, and
+  // tags, which earlier versions keyed by whatever followed /abs/ or /pdf/, to canonical IDs
+  async migrateCache() {
+    try {
+      await this.storeReady;
+      const upgraded = await this.paperStore.migrateSchema();
+      
+      const result = await chrome.storage.local.get('paperTags');
+      const paperTags = {};
+      for (const [paperId, tag] of Object.entries(result.paperTags || {})) {
+        const canonicalId = this.idParser.getPaperId(paperId);
+        if (canonicalId) {
+          paperTags[canonicalId] = tag;
+        }
+      }
+      await chrome.storage.local.set({ paperTags });
+      this.paperCache.clear();
+      
+      console.log(`Migrated cache to schema v${PAPER_SCHEMA_VERSION}: ${upgraded} papers upgraded`);
+    } catch (error) {
+      console.error('Failed to migrate cache:', error);
+    }
+  }
 
   async cleanupCache() {
     try {
@@ -238,118 +1039,576 @@ class ArxivBackgroundManager {
         }
       }
       
-      // Clean up storage cache periodically
-      const allData = await chrome.storage.local.get(null);
-      const arxivKeys = Object.keys(allData).filter(key => key.startsWith('arxiv_'));
-      
-      if (arxivKeys.length > 200) {
-        // Sort by timestamp and remove oldest entries
-        const sorted = arxivKeys
-          .map(key => ({ key, timestamp: allData[key].timestamp || 0 }))
-          .sort((a, b) => a.timestamp - b.timestamp);
-        
-        const toRemove = sorted.slice(0, 50).map(item => item.key);
-        await chrome.storage.local.remove(toRemove);
+      // Evict least recently used papers once the store is over its size limit; saved
+      // papers are pinned
+      await this.settingsReady;
+      const maxBytes = this.settings.get('cacheMaxMegabytes') * 1024 * 1024;
+      const removed = await this.paperStore.evict(maxBytes);
+      if (removed > 0) {
+        console.log(`Evicted ${removed} papers from the cache`);
       }
     } catch (error) {
       console.error('Failed to cleanup cache:', error);
     }
   }
 
-  async manageAuthorGrouping(tabId, paperData, authorColor) {
+  async manageAuthorGrouping(tabId, paperData) {
     try {
-      const author = paperData.firstAuthor;
-      console.log(`manageAuthorGrouping called for tab ${tabId}, author: ${author}`);
-      
-      if (!author) {
-        console.log(`No author found for tab ${tabId}`);
+      await this.settingsReady;
+      await this.registryReady;
+      if (!this.settings.get('groupingEnabled')) {
+        console.log(`Grouping disabled, leaving tab ${tabId} ungrouped`);
+        return;
+      }
+      if (this.userPlacedTabs.has(tabId)) {
+        console.log(`Tab ${tabId} was placed by the user, leaving its group alone`);
         return;
       }
       
-      // Store tab-author mapping
-      this.tabAuthors.set(tabId, author);
+      // Ask the active strategy which group this paper belongs in
+      const strategy = this.settings.get('groupingStrategy');
+      const group = await this.grouper.getGroup(strategy, paperData);
+      console.log(`manageAuthorGrouping called for tab ${tabId}, strategy: ${strategy}, group:`, group);
       
-      // Check if we already have a group for this author
-      let groupId = this.authorGroups.get(author);
+      if (!group) {
+        console.log(`No ${strategy} group for tab ${tabId}`);
+        await this.removeTabFromGroup(tabId);
+        return;
+      }
       
-      if (!groupId) {
-        // Create new tab group for this author
-        const shortAuthor = this.getShortAuthorName(author);
-        const color = this.getTabGroupColor(authorColor?.hue || 0);
-        
-        console.log(`Creating new group for ${author} (${shortAuthor}) with color ${color}`);
-        
-        groupId = await chrome.tabs.group({
+      // Reports for the same key are handled one at a time: two tabs by one author, or the
+      // content script's title and grouping messages, would otherwise both find no group yet
+      // and each create one
+      await this.queueGrouping(group.key, () => this.addToGroup(tabId, group));
+    } catch (error) {
+      console.error('Failed to manage author grouping:', error);
+      console.error('Error details:', error.message);
+    }
+  }
+  
+  // Runs task after every task queued earlier for the same key, whether they failed or not
+  queueGrouping(key, task) {
+    const previous = this.groupingQueues.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    this.groupingQueues.set(key, run);
+    run.catch(() => {}).then(() => {
+      if (this.groupingQueues.get(key) === run) {
+        this.groupingQueues.delete(key);
+      }
+    });
+    return run;
+  }
+  
+  // Put the tab in the key's group, creating the group if there is none yet
+  async addToGroup(tabId, group) {
+    // Store tab-group mapping
+    this.tabAuthors.set(tabId, group.key);
+    
+    // Check if we already have a group for this key
+    let groupId = this.authorGroups.get(group.key);
+    
+    if (!groupId) {
+      // Create new tab group for this key
+      // A color no other group in the window has, unless the user pinned one
+      const tab = await chrome.tabs.get(tabId);
+      const otherGroups = await chrome.tabGroups.query({ windowId: tab.windowId });
+      const color = await this.groupColors.allocate(group.key, otherGroups.map(other => other.color), group.color);
+      
+      console.log(`Creating new group for ${group.key} (${group.title}) with color ${color}`);
+      groupId = await this.createGroup([tabId], group, color);
+      console.log(`Created new group ${groupId} for ${group.key}`);
+    } else {
+      // Add tab to existing group
+      try {
+        console.log(`Adding tab ${tabId} to existing group ${groupId} for ${group.key}`);
+        await chrome.tabs.group({
+          groupId: groupId,
           tabIds: [tabId]
         });
+        this.persistGroupRegistry();
+        console.log(`Successfully added tab ${tabId} to group ${groupId}`);
+      } catch (error) {
+        // Group might not exist anymore, create new one
+        console.log(`Group ${groupId} no longer exists, creating new one for ${group.key}`);
+        this.authorGroups.delete(group.key);
+        await this.addToGroup(tabId, group);
+      }
+    }
+  }
+  
+  // Put tabs in a new tab group and register it under the group's key, if it has one
+  async createGroup(tabIds, group, color) {
+    const groupId = await chrome.tabs.group({ tabIds });
+    await chrome.tabGroups.update(groupId, {
+      title: group.title,
+      color: color
+    });
+    
+    if (group.key) {
+      this.authorGroups.set(group.key, groupId);
+      tabIds.forEach(tabId => this.tabAuthors.set(tabId, group.key));
+    }
+    this.persistGroupRegistry();
+    return groupId;
+  }
+  
+  // Ungroup a tab that we grouped earlier but that no longer belongs in any group
+  async removeTabFromGroup(tabId) {
+    if (!this.tabAuthors.has(tabId)) return;
+    
+    this.tabAuthors.delete(tabId);
+    this.persistGroupRegistry();
+    try {
+      await chrome.tabs.ungroup(tabId);
+    } catch (error) {
+      console.log(`Could not ungroup tab ${tabId}:`, error.message);
+    }
+  }
+  
+  // Group and retitle every open ArXiv tab in place, without reloading anything. Paper data
+  // comes from the cache, or one batched export API lookup for the tabs not cached yet.
+  // With reset, groups from the previous strategy are forgotten so tabs move to fresh ones.
+  async regroupAll({ windowId = null, reset = false } = {}) {
+    const result = { total: 0, grouped: 0, missing: 0 };
+    try {
+      await this.registryReady;
+      if (reset) {
+        this.authorGroups.clear();
+      }
+      
+      const query = windowId ? { url: ARXIV_TAB_URL_PATTERNS, windowId } : { url: ARXIV_TAB_URL_PATTERNS };
+      const tabs = await chrome.tabs.query(query);
+      result.total = tabs.length;
+      console.log(`Regrouping ${tabs.length} open ArXiv tabs`);
+      this.reportRegroupProgress('loading', 0, tabs.length);
+      
+      // Look up all uncached papers at once so the metadata service can batch them
+      const papers = await Promise.all(tabs.map(tab => this.lookupPaper(tab.url)));
+      
+      const titleBuilder = await this.getTitleBuilder();
+      for (let i = 0; i < tabs.length; i++) {
+        const tab = tabs[i];
+        const paperData = papers[i];
         
-        await chrome.tabGroups.update(groupId, {
-          title: shortAuthor,
-          color: color
-        });
-        
-        this.authorGroups.set(author, groupId);
-        console.log(`Created new group ${groupId} for ${author}`);
-      } else {
-        // Add tab to existing group
-        try {
-          console.log(`Adding tab ${tabId} to existing group ${groupId} for ${author}`);
-          await chrome.tabs.group({
-            groupId: groupId,
-            tabIds: [tabId]
-          });
-          console.log(`Successfully added tab ${tabId} to group ${groupId}`);
-        } catch (error) {
-          // Group might not exist anymore, create new one
-          console.log(`Group ${groupId} no longer exists, creating new one for ${author}`);
-          this.authorGroups.delete(author);
-          await this.manageAuthorGrouping(tabId, paperData, authorColor);
+        // Regrouping everything is the user's call, so it covers tabs they placed too
+        this.userPlacedTabs.delete(tab.id);
+        if (paperData) {
+          await this.manageAuthorGrouping(tab.id, paperData);
+          await this.retitleTab(tab, paperData, titleBuilder);
+          result.grouped++;
+        } else {
+          result.missing++;
         }
+        this.reportRegroupProgress('grouping', i + 1, tabs.length);
       }
     } catch (error) {
-      console.error('Failed to manage author grouping:', error);
-      console.error('Error details:', error.message);
+      console.error('Failed to regroup open tabs:', error);
+      result.error = error.message;
+    }
+    
+    this.reportRegroupProgress('done', result.grouped, result.total);
+    return result;
+  }
+  
+  // Ask the tab's content script to apply a freshly built title
+  async retitleTab(tab, paperData, titleBuilder) {
+    try {
+      const title = titleBuilder.build(paperData, tab.url);
+      await chrome.tabs.sendMessage(tab.id, { action: 'applyTitle', title, paperData });
+    } catch (error) {
+      // Discarded tabs and tabs opened before install have no content script
+      console.log(`Could not retitle tab ${tab.id}:`, error.message);
     }
   }
   
-  getShortAuthorName(fullName) {
-    if (!fullName) return 'Unknown';
+  reportRegroupProgress(phase, done, total) {
+    // The popup may be closed, in which case nobody is listening
+    chrome.runtime.sendMessage({ action: 'regroupProgress', phase, done, total }).catch(() => {});
+  }
+
+  // Save the window's ArXiv tabs, in tab order, with the groups they are in
+  async captureSession(windowId, name) {
+    await this.registryReady;
     
-    const parts = fullName.split(' ').filter(part => part.length > 0);
+    const tabs = await chrome.tabs.query({ windowId, url: ARXIV_TAB_URL_PATTERNS });
+    tabs.sort((a, b) => a.index - b.index);
     
-    if (parts.length === 1) {
-      return parts[0];
-    } else if (parts.length === 2) {
-      return parts[1]; // Last name
-    } else {
-      if (fullName.includes(',')) {
-        return parts[0].replace(',', '');
-      } else {
-        return parts[parts.length - 1];
+    const groups = [];
+    const groupIndex = new Map(); // Tab group ID -> index into groups
+    const savedTabs = [];
+    
+    for (const tab of tabs) {
+      const parsed = this.idParser.parse(tab.url);
+      if (!parsed) continue;
+      
+      let group = null;
+      if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+        if (!groupIndex.has(tab.groupId)) {
+          const tabGroup = await chrome.tabGroups.get(tab.groupId);
+          // Groups we created carry their grouping key; groups made by hand have none
+          const key = this.tabAuthors.get(tab.id);
+          groupIndex.set(tab.groupId, groups.length);
+          groups.push({
+            key: key && this.authorGroups.get(key) === tab.groupId ? key : null,
+            title: tabGroup.title || '',
+            color: tabGroup.color,
+            collapsed: tabGroup.collapsed
+          });
+        }
+        group = groupIndex.get(tab.groupId);
+      }
+      
+      savedTabs.push({
+        paperId: parsed.id,
+        kind: parsed.kind,
+        version: parsed.version,
+        group: group
+      });
+    }
+    
+    if (savedTabs.length === 0) {
+      throw new Error('No ArXiv tabs in this window');
+    }
+    
+    const session = await this.sessions.create(name, { tabs: savedTabs, groups });
+    console.log(`Saved session "${session.name}" with ${savedTabs.length} tabs in ${groups.length} groups`);
+    return session;
+  }
+  
+  // Reopen a session's tabs in a new window and rebuild its groups
+  async restoreSession(sessionId) {
+    await this.registryReady;
+    await this.sessions.load();
+    
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    
+    const urls = session.tabs.map(tab => this.idParser.getUrl(tab.paperId, tab.kind, tab.version));
+    const window = await chrome.windows.create({ url: urls, focused: true });
+    const tabs = window.tabs.sort((a, b) => a.index - b.index);
+    
+    // Tabs come back in the groups they were saved in, and their content scripts reporting in
+    // must not move them into strategy groups. Tabs saved outside any group are left to the
+    // grouping strategy like any other tab.
+    tabs.forEach((tab, i) => {
+      const savedTab = session.tabs[i];
+      if (savedTab && savedTab.group !== null && session.groups[savedTab.group]) {
+        this.userPlacedTabs.set(tab.id, savedTab.paperId);
+      }
+    });
+    this.persistGroupRegistry();
+    
+    for (let index = 0; index < session.groups.length; index++) {
+      const group = session.groups[index];
+      const tabIds = tabs
+        .filter((tab, i) => session.tabs[i] && session.tabs[i].group === index)
+        .map(tab => tab.id);
+      if (tabIds.length === 0) continue;
+      
+      try {
+        // When this key's group is already open in another window, that one stays registered
+        // and the restored group is kept as the user's own
+        const registeredId = group.key ? this.authorGroups.get(group.key) : undefined;
+        const registered = registeredId !== undefined && await chrome.tabGroups.get(registeredId).catch(() => null);
+        const groupId = await this.createGroup(tabIds, registered ? { ...group, key: null } : group, group.color);
+        if (group.collapsed) {
+          await chrome.tabGroups.update(groupId, { collapsed: true });
+        }
+      } catch (error) {
+        console.error(`Failed to restore group ${group.title}:`, error);
+      }
+    }
+    
+    console.log(`Restored session "${session.name}" with ${tabs.length} tabs`);
+    return { windowId: window.id, total: tabs.length, groups: session.groups.length };
+  }
+
+  // Open tabs that show the same paper. Tabs are matched on the canonical ID that also keys
+  // tabAuthors' groups and the paper cache, so /abs/X, /pdf/Xv2 and /html/X are one paper.
+  async findDuplicateTabs(windowId = null) {
+    await this.registryReady;
+    
+    const query = windowId ? { url: ARXIV_READING_URL_PATTERNS, windowId } : { url: ARXIV_READING_URL_PATTERNS };
+    const tabs = await chrome.tabs.query(query);
+    
+    const tabsByPaper = new Map();
+    for (const tab of tabs) {
+      const parsed = this.idParser.parse(tab.url);
+      if (!parsed) continue;
+      
+      if (!tabsByPaper.has(parsed.id)) {
+        tabsByPaper.set(parsed.id, []);
+      }
+      tabsByPaper.get(parsed.id).push({
+        id: tab.id,
+        windowId: tab.windowId,
+        index: tab.index,
+        active: tab.active,
+        kind: parsed.kind,
+        version: parsed.version,
+        grouped: this.tabAuthors.has(tab.id)
+      });
+    }
+    
+    const duplicates = [];
+    for (const [paperId, paperTabs] of tabsByPaper) {
+      if (paperTabs.length < 2) continue;
+      
+      const paperData = await this.getCachedData(paperId);
+      duplicates.push({
+        paperId: paperId,
+        title: paperData && paperData.title ? paperData.title : paperId,
+        tabs: paperTabs
+      });
+    }
+    return duplicates;
+  }
+  
+  // Close all but one tab of each duplicated paper (or just the given paper)
+  async closeDuplicateTabs({ windowId = null, paperId = null, keep = null } = {}) {
+    await this.settingsReady;
+    const preference = keep || this.settings.get('duplicateKeep');
+    
+    const duplicates = (await this.findDuplicateTabs(windowId))
+      .filter(duplicate => !paperId || duplicate.paperId === paperId);
+    
+    const toClose = [];
+    for (const duplicate of duplicates) {
+      const keeper = this.chooseTabToKeep(duplicate.tabs, preference);
+      toClose.push(...duplicate.tabs.filter(tab => tab.id !== keeper.id).map(tab => tab.id));
+    }
+    
+    if (toClose.length > 0) {
+      await chrome.tabs.remove(toClose);
+    }
+    console.log(`Closed ${toClose.length} duplicate tabs of ${duplicates.length} papers, keeping ${preference}`);
+    return { closed: toClose.length, papers: duplicates.length };
+  }
+  
+  // The preferred page kind (or newest version) wins; ties go to the tab being viewed,
+  // then a tab already in one of our groups, then the leftmost tab
+  chooseTabToKeep(tabs, preference) {
+    // An unversioned URL always shows the latest version
+    const versionRank = tab => (tab.version === null ? Infinity : tab.version);
+    const byVersion = (a, b) => (versionRank(a) === versionRank(b) ? 0 : versionRank(a) < versionRank(b) ? 1 : -1);
+    const byKind = kind => (a, b) => (b.kind === kind) - (a.kind === kind);
+    
+    const criteria = preference === 'latest'
+      ? [byVersion, byKind('abs')]
+      : [byKind(preference), byVersion];
+    criteria.push(
+      (a, b) => b.active - a.active,
+      (a, b) => b.grouped - a.grouped,
+      (a, b) => a.index - b.index
+    );
+    
+    return [...tabs].sort((a, b) => {
+      for (const compare of criteria) {
+        const difference = compare(a, b);
+        if (difference !== 0) return difference;
+      }
+      return 0;
+    })[0];
+  }
+
+  async scheduleVersionCheck() {
+    try {
+      const hours = this.settings.get('versionCheckHours');
+      if (hours === 0) {
+        await chrome.alarms.clear(VERSION_CHECK_ALARM);
+        console.log('New version checks turned off');
+        return;
       }
+      
+      // Recreating an unchanged alarm would push the next check back on every worker start
+      const existing = await chrome.alarms.get(VERSION_CHECK_ALARM);
+      if (existing && existing.periodInMinutes === hours * 60) return;
+      
+      await chrome.alarms.create(VERSION_CHECK_ALARM, { delayInMinutes: 1, periodInMinutes: hours * 60 });
+      console.log(`Checking for new versions every ${hours} hours`);
+    } catch (error) {
+      console.error('Failed to schedule version check:', error);
     }
   }
   
-  getTabGroupColor(hue) {
-    // Map hue ranges to Chrome's available tab group colors
-    const colors = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan'];
-    const colorIndex = Math.floor((hue / 360) * colors.length);
-    return colors[colorIndex % colors.length];
+  // Saved papers and papers open in any tab
+  async getWatchedPaperIds() {
+    await this.library.load();
+    const tabs = await chrome.tabs.query({ url: ARXIV_READING_URL_PATTERNS });
+    const openIds = tabs.map(tab => this.idParser.getPaperId(tab.url)).filter(paperId => paperId);
+    return [...new Set([...this.library.getSavedIds(), ...openIds])];
+  }
+  
+  // Ask the metadata service (the export API, or whatever metadataEndpoint points at) for the
+  // newest version of every watched paper we have a seen version for
+  async checkForNewVersions() {
+    try {
+      await this.settingsReady;
+      
+      const paperIds = await this.getWatchedPaperIds();
+      await this.storeReady;
+      const cached = await this.paperStore.getMany(paperIds);
+      const watched = paperIds.filter(paperId => {
+        const record = cached[paperId];
+        return record && Number.isInteger(record.versionSeen);
+      });
+      console.log(`Checking ${watched.length} papers for newer versions`);
+      
+      const latest = await this.metadataService.lookupMany(watched);
+      const updates = [];
+      watched.forEach((paperId, i) => {
+        const record = cached[paperId];
+        if (latest[i] && latest[i].latestVersion > (record.latestVersion || 0)) {
+          updates.push({ ...record, latestVersion: latest[i].latestVersion });
+          this.paperCache.delete(paperId);
+        }
+      });
+      
+      if (updates.length > 0) {
+        await this.paperStore.putMany(updates);
+        console.log(`Found new versions for ${updates.length} papers`);
+      }
+    } catch (error) {
+      console.error('Failed to check for new versions:', error);
+    }
+    return this.updateVersionBadge();
+  }
+  
+  // Watched papers whose latest version is newer than the one last opened
+  async getVersionNotices() {
+    const paperIds = await this.getWatchedPaperIds();
+    await this.storeReady;
+    const cached = await this.paperStore.getMany(paperIds);
+    
+    return paperIds
+      .map(paperId => cached[paperId])
+      .filter(record => this.versionTracker.hasNewerVersion(record))
+      .map(record => ({
+        paperId: record.id,
+        title: record.title || record.id,
+        versionSeen: record.versionSeen,
+        latestVersion: record.latestVersion,
+        url: this.idParser.getUrl(record.id, 'abs', record.latestVersion)
+      }));
+  }
+  
+  async updateVersionBadge() {
+    try {
+      const notices = await this.getVersionNotices();
+      await chrome.action.setBadgeText({ text: notices.length > 0 ? String(notices.length) : '' });
+      await chrome.action.setBadgeBackgroundColor({ color: '#d97706' });
+      return notices;
+    } catch (error) {
+      console.error('Failed to update version badge:', error);
+      return [];
+    }
   }
   
+  // Stop pointing out a newer version without opening it
+  async dismissVersionNotice(paperId) {
+    await this.storeReady;
+    const record = await this.paperStore.get(paperId);
+    if (record && Number.isInteger(record.latestVersion)) {
+      await this.paperStore.put({ ...record, versionSeen: record.latestVersion });
+      this.paperCache.delete(record.id);
+    }
+    await this.updateVersionBadge();
+  }
+
+  async updateLinkPreviewScript() {
+    try {
+      const granted = await chrome.permissions.contains({ origins: LINK_PREVIEW_ORIGINS });
+      const enabled = this.settings.get('linkPreviewsEnabled') && granted;
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [LINK_PREVIEW_SCRIPT_ID] });
+      
+      const script = {
+        id: LINK_PREVIEW_SCRIPT_ID,
+        matches: LINK_PREVIEW_ORIGINS,
+        // The manifest's scripts already declare the shared constants on these pages
+        excludeMatches: [...ARXIV_TAB_URL_PATTERNS, ...ARXIV_LISTING_URL_PATTERNS],
+        js: ['src/arxiv-id.js', 'src/link-preview.js'],
+        runAt: 'document_idle'
+      };
+      
+      if (enabled && registered.length === 0) {
+        await chrome.scripting.registerContentScripts([script]);
+        console.log('Link previews turned on');
+      } else if (enabled) {
+        // Registrations outlive extension updates, so bring them up to date
+        await chrome.scripting.updateContentScripts([script]);
+      } else if (!enabled && registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [LINK_PREVIEW_SCRIPT_ID] });
+        console.log('Link previews turned off');
+      }
+    } catch (error) {
+      console.error('Failed to update link preview script:', error);
+    }
+  }
+  
+  // Everything a link tooltip shows: the paper, which of its authors are liked, and
+  // whether it is open in a tab or saved
+  async getLinkPreview(paperId) {
+    let paperData = await this.lookupPaper(paperId);
+    if (!paperData) {
+      return { paperData: null };
+    }
+    
+    // Papers cached from their tab before abstracts were kept need one more lookup
+    if (!paperData.abstract) {
+      const fetched = await this.metadataService.lookup(paperId);
+      if (fetched && fetched.abstract) {
+        paperData = { ...paperData, abstract: fetched.abstract };
+        await this.cacheData(paperData);
+      }
+    }
+    
+    const [tabs, context] = await Promise.all([
+      chrome.tabs.query({ url: ARXIV_READING_URL_PATTERNS }),
+      this.grouper.loadContext(),
+      this.library.load()
+    ]);
+    const entry = this.library.getEntry(paperData.id);
+    
+    return {
+      paperData: paperData,
+      likedAuthors: (paperData.authorsList || []).filter(author => context.likedAuthors.findProfile(author)),
+      open: tabs.some(tab => this.idParser.getPaperId(tab.url) === paperData.id),
+      saved: entry ? { status: LIBRARY_STATUSES[entry.status] } : null
+    };
+  }
+
+  async ungroupOpenTabs() {
+    try {
+      const tabIds = Array.from(this.tabAuthors.keys());
+      if (tabIds.length > 0) {
+        await chrome.tabs.ungroup(tabIds);
+      }
+      console.log(`Ungrouped ${tabIds.length} ArXiv tabs`);
+    } catch (error) {
+      console.error('Failed to ungroup tabs:', error);
+    } finally {
+      this.tabAuthors.clear();
+      this.authorGroups.clear();
+      this.persistGroupRegistry();
+    }
+  }
+
   // Utility method to get extension stats
   async getStats() {
     try {
-      const allData = await chrome.storage.local.get(null);
-      const arxivKeys = Object.keys(allData).filter(key => key.startsWith('arxiv_'));
+      await this.storeReady;
+      const stored = await this.paperStore.getStats();
       
       return {
-        cachedPapers: arxivKeys.length,
+        cachedPapers: stored.count,
+        cacheSize: stored.size,
         memoryCache: this.paperCache.size,
         authorGroups: this.authorGroups.size
       };
     } catch (error) {
-      return { cachedPapers: 0, memoryCache: 0, authorGroups: 0 };
+      return { cachedPapers: 0, cacheSize: 0, memoryCache: 0, authorGroups: 0 };
     }
   }
 }
@@ -361,9 +1620,15 @@ console.log('ArXiv Tab Enhancer: Background manager initialized');
 
 // Handle extension lifecycle
 chrome.runtime.onInstalled.addListener((details) => {
+  arxivManager.createContextMenus();
   if (details.reason === 'install') {
     console.log('ArXiv Tab Enhancer installed');
   } else if (details.reason === 'update') {
     console.log('ArXiv Tab Enhancer updated');
+    arxivManager.migrateCache();
   }
-});
\ No newline at end of file
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  arxivManager.createContextMenus();
+});
@@ -0,0 +1,236 @@
+// ArXiv Tab Enhancer Backup
+// JSON export and import of settings, liked authors and the saved library, plus the saved
+// papers' records so the library shows titles on a fresh install. Imports either replace
+// what's there or merge into it. A merge never overwrites something set on both sides: it
+// keeps the local value and reports the conflict.
+
+const BACKUP_FORMAT = 'arxiv-tab-enhancer-backup';
+const BACKUP_VERSION = 1;
+
+// Store bookkeeping that is rebuilt on import, so it's left out of backups
+const BACKUP_PAPER_OMITTED_FIELDS = ['authorKeys', 'saved', 'size', 'lastAccessed'];
+
+const BACKUP_IMPORT_MODES = {
+  merge: 'Merge into what is here',
+  replace: 'Replace what is here'
+};
+
+class ArxivBackup {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+    this.settings = new ArxivSettings();
+    this.likedAuthors = new ArxivLikedAuthors();
+    this.library = new ArxivLibrary();
+    this.paperStore = new ArxivPaperStore();
+    this.paperSchema = new ArxivPaperSchema();
+  }
+
+  async export() {
+    await Promise.all([this.settings.load(), this.likedAuthors.load(), this.library.load()]);
+    const papers = await this.paperStore.getSaved();
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: this.settings.getAll(),
+      likedAuthors: this.likedAuthors.list(),
+      library: this.library.entries,
+      papers: papers.map(paper => {
+        const record = { ...paper };
+        BACKUP_PAPER_OMITTED_FIELDS.forEach(field => delete record[field]);
+        return record;
+      })
+    };
+  }
+
+  // Reads a backup file's text, throwing if it isn't one this version understands
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || data.format !== BACKUP_FORMAT) {
+      throw new Error('The file is not an ArXiv Tab Enhancer backup');
+    }
+    if (data.version > BACKUP_VERSION) {
+      throw new Error('The backup was made by a newer version of the extension; update it first');
+    }
+    return data;
+  }
+
+  // Applies a parsed backup. Resolves with a report: how many settings, liked authors, saved
+  // papers and paper records were taken over, the conflicts a merge kept local values for,
+  // and the entries that were skipped as invalid.
+  async import(data, mode = 'merge') {
+    if (!BACKUP_IMPORT_MODES[mode]) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    await Promise.all([this.settings.load(), this.likedAuthors.load(), this.library.load()]);
+    const report = { mode, settings: 0, likedAuthors: 0, library: 0, papers: 0, conflicts: [], errors: [] };
+    const replace = mode === 'replace';
+
+    if (data.settings) {
+      const merged = this.mergeSettings(replace ? ArxivSettings.getDefaults() : this.settings.getAll(), data.settings);
+      await this.settings.set(merged.values);
+      report.settings = merged.changed.length;
+      report.conflicts.push(...merged.conflicts);
+      report.errors.push(...merged.errors);
+    }
+
+    if (Array.isArray(data.likedAuthors)) {
+      const merged = this.mergeLikedAuthors(replace ? [] : this.likedAuthors.list(), data.likedAuthors);
+      await this.likedAuthors.replace(merged.profiles);
+      report.likedAuthors = merged.added;
+      report.conflicts.push(...merged.conflicts);
+    }
+
+    // Paper records go in before the library, which flags them as saved
+    if (Array.isArray(data.papers)) {
+      report.papers = await this.importPapers(data.papers, replace);
+    }
+
+    if (data.library) {
+      const merged = this.mergeLibrary(replace ? {} : this.library.entries, data.library);
+      await this.library.replace(merged.entries);
+      report.library = merged.added;
+      report.conflicts.push(...merged.conflicts);
+      report.errors.push(...merged.errors);
+    }
+
+    return report;
+  }
+
+  // Settings set to the default on one side take the other side's value; a setting both
+  // sides changed keeps the current value
+  mergeSettings(current, imported) {
+    const defaults = ArxivSettings.getDefaults();
+    const values = { ...current };
+    const changed = [];
+    const conflicts = [];
+    const errors = [];
+
+    for (const [key, value] of Object.entries(imported || {})) {
+      if (!SETTINGS_SCHEMA[key]) continue; // Settings this version no longer has
+
+      let valid;
+      try {
+        valid = this.settings.validate(key, value);
+      } catch (error) {
+        errors.push({ section: 'settings', item: key, message: error.message });
+        continue;
+      }
+
+      if (valid === values[key]) continue;
+      if (values[key] === defaults[key]) {
+        values[key] = valid;
+        changed.push(key);
+      } else {
+        conflicts.push({ section: 'settings', item: SETTINGS_SCHEMA[key].label, field: key, local: values[key], imported: valid });
+      }
+    }
+
+    return { values, changed, conflicts, errors };
+  }
+
+  // Imported profiles matching a current one by name or alias are folded into it: aliases are
+  // combined, and a label, color or grouping flag only set on one side is taken over. Other
+  // profiles are added at the end, in their imported order.
+  mergeLikedAuthors(current, imported) {
+    const merger = new ArxivLikedAuthors();
+    merger.profiles = current.map(profile => ({ ...profile, aliases: [...profile.aliases] }));
+    const conflicts = [];
+    let added = 0;
+
+    for (const entry of merger.migrate(imported)) {
+      const incoming = merger.applyFields(merger.createProfile(entry.name, entry.id), entry);
+      const existing = merger.getNames(incoming).map(name => merger.findProfile(name)).find(profile => profile);
+
+      if (!existing) {
+        if (merger.get(incoming.id)) {
+          incoming.id = merger.createProfile(incoming.name).id;
+        }
+        merger.profiles.push(incoming);
+        added++;
+        continue;
+      }
+
+      const aliases = [...existing.aliases, ...incoming.aliases, incoming.name]
+        .filter(alias => !merger.authorMatcher.isMatch(alias, existing.name));
+      merger.applyFields(existing, { aliases });
+
+      const unset = { label: '', color: null, grouping: 'auto' };
+      for (const [field, emptyValue] of Object.entries(unset)) {
+        if (incoming[field] === existing[field] || incoming[field] === emptyValue) continue;
+        if (existing[field] === emptyValue) {
+          existing[field] = incoming[field];
+        } else {
+          conflicts.push({ section: 'likedAuthors', item: existing.name, field, local: existing[field], imported: incoming[field] });
+        }
+      }
+    }
+
+    return { profiles: merger.profiles, added, conflicts };
+  }
+
+  // Papers saved only in the backup are added and tags are combined; a status, priority or
+  // note that differs keeps the current one
+  mergeLibrary(current, imported) {
+    const entries = { ...current };
+    const conflicts = [];
+    const errors = [];
+    let added = 0;
+
+    for (const entry of Object.values(imported || {})) {
+      const paperId = this.idParser.getPaperId(entry && entry.id);
+      if (!paperId) {
+        errors.push({ section: 'library', item: String(entry && entry.id), message: 'Not an arXiv paper' });
+        continue;
+      }
+
+      let fields;
+      try {
+        fields = this.library.validate(entry);
+      } catch (error) {
+        errors.push({ section: 'library', item: paperId, message: error.message });
+        continue;
+      }
+
+      const existing = entries[paperId];
+      if (!existing) {
+        entries[paperId] = { ...entry, ...fields, id: paperId };
+        added++;
+        continue;
+      }
+
+      const tags = [...new Set([...(existing.tags || []), ...(fields.tags || [])])];
+      entries[paperId] = { ...existing, tags };
+      for (const field of ['status', 'priority', 'notes']) {
+        if (fields[field] === undefined || fields[field] === existing[field]) continue;
+        if (field === 'notes' && !existing.notes) {
+          entries[paperId].notes = fields.notes;
+        } else {
+          conflicts.push({ section: 'library', item: paperId, field, local: existing[field], imported: fields[field] });
+        }
+      }
+    }
+
+    return { entries, added, conflicts, errors };
+  }
+
+  // Stores the backup's paper records. A merge only adds papers not cached here yet.
+  async importPapers(papers, replace) {
+    const records = papers
+      .map(paper => ({ ...paper, id: this.idParser.getPaperId(paper && paper.id) }))
+      .filter(paper => paper.id);
+    const existing = replace ? {} : await this.paperStore.getMany(records.map(record => record.id));
+    const missing = records.filter(record => !existing[record.id]);
+
+    await this.paperStore.putMany(missing.map(record => this.paperSchema.migrate(record)));
+    return missing.length;
+  }
+}
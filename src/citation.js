@@ -0,0 +1,248 @@
+// ArXiv Tab Enhancer Citations
+// Formats cached paper records as BibTeX, CSL-JSON, RIS or a Markdown link list
+
+const CITATION_FORMATS = {
+  bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+  csl: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/json' },
+  ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+  markdown: { label: 'Markdown links', extension: 'md', mimeType: 'text/markdown' }
+};
+
+// Combining diacritics (after NFD normalization) and their LaTeX accent commands
+const LATEX_ACCENTS = {
+  '̀': '`', '́': "'", '̂': '^', '̃': '~', '̄': '=',
+  '̆': 'u', '̇': '.', '̈': '"', '̊': 'r', '̋': 'H',
+  '̌': 'v', '̧': 'c', '̨': 'k', '̣': 'd', '̱': 'b'
+};
+
+// Letters without a decomposition that LaTeX spells as commands
+const LATEX_LETTERS = {
+  'ß': '{\\ss}', 'ø': '{\\o}', 'Ø': '{\\O}', 'ł': '{\\l}', 'Ł': '{\\L}',
+  'æ': '{\\ae}', 'Æ': '{\\AE}', 'œ': '{\\oe}', 'Œ': '{\\OE}', 'ı': '{\\i}', 'đ': '{\\dj}'
+};
+
+const LATEX_SPECIAL_CHARACTERS = {
+  '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '&': '\\&', '%': '\\%',
+  '$': '\\$', '#': '\\#', '_': '\\_', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}'
+};
+
+// Words skipped when picking the title word of a cite key
+const CITE_KEY_STOP_WORDS = ['a', 'an', 'the', 'on', 'of', 'in', 'for', 'to', 'and', 'with', 'towards', 'toward', 'from', 'via', 'is', 'are', 'at', 'by'];
+
+class ArxivCitationFormatter {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+    this.titleBuilder = new ArxivTitleBuilder();
+    this.authorMatcher = new ArxivAuthorMatcher();
+  }
+
+  format(papers, format) {
+    // Several tabs can show the same paper; cite each paper once
+    const unique = new Map();
+    papers
+      .filter(paper => paper && paper.id && paper.title)
+      .forEach(paper => unique.set(paper.id, paper));
+    const records = this.assignCiteKeys(Array.from(unique.values()));
+
+    switch (format) {
+      case 'bibtex':
+        return records.map(record => this.toBibtex(record)).join('\n\n');
+      case 'csl':
+        return JSON.stringify(records.map(record => this.toCslJson(record)), null, 2);
+      case 'ris':
+        return records.map(record => this.toRis(record)).join('\n');
+      case 'markdown':
+        return records.map(record => this.toMarkdown(record)).join('\n');
+      default:
+        throw new Error(`Unknown citation format: ${format}`);
+    }
+  }
+
+  // Cite keys are built from the paper alone (author + year + title word), so the same
+  // paper gets the same key in every export; letters are only added on collisions.
+  assignCiteKeys(papers) {
+    const seen = new Map();
+    return papers.map(paper => {
+      const baseKey = this.getCiteKey(paper);
+      const count = seen.get(baseKey) || 0;
+      seen.set(baseKey, count + 1);
+      const citeKey = count === 0 ? baseKey : baseKey + String.fromCharCode(97 + count);
+      return { ...paper, citeKey };
+    });
+  }
+
+  getCiteKey(paper) {
+    const { particle, family } = this.authorMatcher.getNameParts(this.getAuthors(paper)[0] || '');
+    const familyName = [particle, family].filter(part => part).join(' ') || 'anon';
+    const titleWord = (paper.title || '')
+      .replace(/\$[^$]*\$/g, ' ')
+      .split(/[^\p{L}\p{N}]+/u)
+      .find(word => word && !CITE_KEY_STOP_WORDS.includes(word.toLowerCase())) || '';
+
+    return `${this.toAsciiKey(familyName)}${this.getYear(paper)}${this.toAsciiKey(titleWord)}`;
+  }
+
+  toAsciiKey(text) {
+    return text
+      .normalize('NFD')
+      .replace(/[̀-ͯ]/g, '')
+      .replace(/[^A-Za-z0-9]/g, '')
+      .toLowerCase();
+  }
+
+  getAuthors(paper) {
+    if (paper.authorsList && paper.authorsList.length > 0) return paper.authorsList;
+    return paper.authors ? paper.authors.split(',').map(author => author.trim()).filter(author => author) : [];
+  }
+
+  // "Last, First" with the particle in front of the family name and the suffix after it, as
+  // BibTeX and RIS write names: "van der Maaten, Laurens", "King, Jr., Martin Luther"
+  formatInverted(name) {
+    const { given, particle, family, suffix } = this.authorMatcher.getNameParts(name);
+    return [[particle, family].filter(part => part).join(' '), suffix, given]
+      .filter(part => part)
+      .join(', ');
+  }
+
+  toCslName(name) {
+    const { given, particle, family, suffix } = this.authorMatcher.getNameParts(name);
+    const cslName = { family, given };
+    if (particle) {
+      cslName['non-dropping-particle'] = particle;
+    }
+    if (suffix) {
+      cslName.suffix = suffix;
+    }
+    return cslName;
+  }
+
+  getYear(paper) {
+    return this.titleBuilder.getYear(paper.id);
+  }
+
+  getMonth(paper) {
+    const parsed = this.idParser.parse(paper.id);
+    if (!parsed) return null;
+    const yymm = parsed.archive ? parsed.id.split('/')[1] : parsed.id;
+    return parseInt(yymm.substring(2, 4), 10) || null;
+  }
+
+  getPrimaryClass(paper) {
+    return this.titleBuilder.getSubcategory(paper.category);
+  }
+
+  getDoi(paper) {
+    // arXiv registers a DataCite DOI for every paper
+    return `10.48550/arXiv.${paper.id}`;
+  }
+
+  toBibtex(paper) {
+    const authors = this.getAuthors(paper)
+      .map(author => this.escapeLatex(this.formatInverted(author)))
+      .join(' and ');
+
+    const fields = [
+      ['title', `{${this.escapeLatex(paper.title, { keepMath: true })}}`],
+      ['author', authors],
+      ['year', this.getYear(paper)],
+      ['eprint', paper.id],
+      ['archivePrefix', 'arXiv'],
+      ['primaryClass', this.getPrimaryClass(paper)],
+      ['doi', this.getDoi(paper)],
+      ['url', this.idParser.getUrl(paper.id)]
+    ].filter(([, value]) => value);
+
+    const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+    return `@misc{${paper.citeKey},\n${body}\n}`;
+  }
+
+  toCslJson(paper) {
+    const year = parseInt(this.getYear(paper), 10);
+    const month = this.getMonth(paper);
+
+    const record = {
+      id: paper.citeKey,
+      type: 'article',
+      title: paper.title,
+      author: this.getAuthors(paper).map(author => this.toCslName(author)),
+      'container-title': 'arXiv',
+      publisher: 'arXiv',
+      number: paper.id,
+      DOI: this.getDoi(paper),
+      URL: this.idParser.getUrl(paper.id)
+    };
+    if (year) {
+      record.issued = { 'date-parts': [month ? [year, month] : [year]] };
+    }
+    return record;
+  }
+
+  toRis(paper) {
+    const lines = [['TY', 'UNPB']];
+    this.getAuthors(paper).forEach(author => {
+      lines.push(['AU', this.formatInverted(author)]);
+    });
+    lines.push(['TI', paper.title]);
+    lines.push(['PY', this.getYear(paper)]);
+    lines.push(['PB', 'arXiv']);
+    lines.push(['AN', `arXiv:${paper.id}`]);
+    lines.push(['KW', this.getPrimaryClass(paper)]);
+    lines.push(['DO', this.getDoi(paper)]);
+    lines.push(['UR', this.idParser.getUrl(paper.id)]);
+    lines.push(['ER', '']);
+
+    return lines
+      .filter(([tag, value]) => value || tag === 'ER')
+      .map(([tag, value]) => `${tag}  - ${value}`.trimEnd())
+      .join('\n');
+  }
+
+  toMarkdown(paper) {
+    const authors = this.titleBuilder.getAuthorsEtAl(this.getAuthors(paper));
+    const details = [authors, this.getYear(paper)].filter(part => part).join(', ');
+    const title = paper.title.replace(/([[\]])/g, '\\$1');
+    return `- [${title}](${this.idParser.getUrl(paper.id)})${details ? ` — ${details}` : ''} (arXiv:${paper.id})`;
+  }
+
+  // Escape text for BibTeX. With keepMath, $...$ segments (common in arXiv titles) are left
+  // as written since they are already LaTeX.
+  escapeLatex(text, { keepMath = false } = {}) {
+    if (!text) return '';
+
+    if (keepMath) {
+      return text
+        .split(/(\$[^$]+\$)/)
+        .map(segment => (/^\$[^$]+\$$/.test(segment) ? segment : this.escapeLatex(segment)))
+        .join('');
+    }
+
+    // Each base character with the combining marks that follow it: "ệ" is e, ̣ and ̂
+    const characters = text.normalize('NFD').match(/\P{M}\p{M}*/gu) || [];
+    return characters
+      .map(([base, ...marks]) => this.escapeCharacter(base, marks))
+      .join('')
+      .normalize('NFC');
+  }
+
+  // Marks LaTeX has an accent command for are applied to the base letter, each on top of the
+  // ones before it: e + ̣ + ̂ -> {\^{\d{e}}}. Other marks are kept as they are.
+  escapeCharacter(base, marks) {
+    const accents = marks.filter(mark => LATEX_ACCENTS[mark]).map(mark => LATEX_ACCENTS[mark]);
+    const otherMarks = marks.filter(mark => !LATEX_ACCENTS[mark]).join('');
+    const escaped = LATEX_SPECIAL_CHARACTERS[base] || LATEX_LETTERS[base] || base;
+    if (accents.length === 0) return escaped + otherMarks;
+
+    const letter = base === 'i' ? '\\i' : escaped;
+    const accented = accents.reduce((target, accent) => this.applyAccent(target, accent), letter);
+    return `{${accented}}${otherMarks}`;
+  }
+
+  // Letter accents always take braces, symbol accents only around more than one letter:
+  // e -> \'e, s -> \v{s}, \^e -> \~{\^e}
+  applyAccent(target, accent) {
+    const single = target.length === 1 || target === '\\i';
+    return /[a-zA-Z]/.test(accent) || !single
+      ? `\\${accent}{${target}}`
+      : `\\${accent}${target}`;
+  }
+}
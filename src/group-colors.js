@@ -0,0 +1,100 @@
+// ArXiv Tab Enhancer Group Colors
+// Picks tab group colors so open groups in a window don't share one. Each group key
+// ("author:lecun y", "category:cs.LG", ...) prefers the color it had last time, then the
+// color its key hashes to. Users can pin a color per key, which always wins.
+
+const GROUP_COLORS_STORAGE_KEY = 'groupColors';
+
+// Chrome's tab group colors
+const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+// Remembered assignments beyond this many are dropped, least recently used first
+const GROUP_COLORS_MAX_ASSIGNED = 500;
+
+class ArxivGroupColors {
+  constructor() {
+    this.pins = {}; // Group key -> color the user chose
+    this.assigned = {}; // Group key -> color it was last given, most recent last
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(GROUP_COLORS_STORAGE_KEY);
+      const stored = result[GROUP_COLORS_STORAGE_KEY] || {};
+      this.pins = stored.pins || {};
+      this.assigned = stored.assigned || {};
+    } catch (error) {
+      console.error('Failed to load group colors:', error);
+      this.pins = {};
+      this.assigned = {};
+    }
+  }
+
+  getPin(key) {
+    return this.pins[key] || null;
+  }
+
+  getHashedColor(key) {
+    let hash = 0;
+    for (let i = 0; i < key.length; i++) {
+      hash = ((hash << 5) - hash) + key.charCodeAt(i);
+      hash = hash & hash;
+    }
+    return TAB_GROUP_COLORS[Math.abs(hash) % TAB_GROUP_COLORS.length];
+  }
+
+  // The color for a new group, given the colors of the window's other groups (with repeats).
+  // A pinned color is used even if taken; otherwise the first free color among the last one
+  // this key had, its hashed one and the rest in order. With every color taken, the least used.
+  choose(key, usedColors, pinnedColor = null) {
+    const pinned = pinnedColor || this.getPin(key);
+    if (pinned) return pinned;
+
+    const hashed = this.getHashedColor(key);
+    const start = TAB_GROUP_COLORS.indexOf(hashed);
+    const candidates = [
+      this.assigned[key],
+      ...TAB_GROUP_COLORS.map((color, i) => TAB_GROUP_COLORS[(start + i) % TAB_GROUP_COLORS.length])
+    ].filter(color => color);
+
+    const free = candidates.find(color => !usedColors.includes(color));
+    if (free) return free;
+
+    const uses = color => usedColors.filter(used => used === color).length;
+    return candidates.reduce((best, color) => (uses(color) < uses(best) ? color : best));
+  }
+
+  // Chooses a color and remembers it for the next time this key needs a group
+  async allocate(key, usedColors, pinnedColor = null) {
+    await this.load();
+    const color = this.choose(key, usedColors, pinnedColor);
+
+    delete this.assigned[key];
+    this.assigned[key] = color;
+    const keys = Object.keys(this.assigned);
+    keys.slice(0, Math.max(0, keys.length - GROUP_COLORS_MAX_ASSIGNED)).forEach(oldKey => {
+      delete this.assigned[oldKey];
+    });
+
+    await this.persist();
+    return color;
+  }
+
+  // Pins a color to a group key, or unpins it when color is empty
+  async pin(key, color) {
+    await this.load();
+    if (TAB_GROUP_COLORS.includes(color)) {
+      this.pins[key] = color;
+      this.assigned[key] = color;
+    } else {
+      delete this.pins[key];
+    }
+    await this.persist();
+  }
+
+  async persist() {
+    await chrome.storage.local.set({
+      [GROUP_COLORS_STORAGE_KEY]: { pins: this.pins, assigned: this.assigned }
+    });
+  }
+}
@@ -0,0 +1,107 @@
+// ArXiv Tab Enhancer Grouping Strategies
+// Each strategy maps a paper to the tab group it belongs in, or null to leave it ungrouped.
+// Liked authors flagged "always" get their group whatever the strategy.
+
+// A liked author's group: papers under any of their aliases share it, with their label and color
+function getLikedAuthorGroup({ profile, author }, context) {
+  return {
+    key: `liked:${profile.id}`,
+    title: profile.label || context.titleBuilder.getShortAuthorName(author),
+    color: profile.color
+  };
+}
+
+const GROUPING_STRATEGIES = {
+  author: {
+    description: 'First author, or a liked author when one is on the paper',
+    getGroup(paperData, context) {
+      const match = context.likedAuthors.findMatch(paperData.authorsList, ['auto', 'always']);
+      if (match) return getLikedAuthorGroup(match, context);
+
+      if (!paperData.firstAuthor) return null;
+      const profile = context.likedAuthors.findProfile(paperData.firstAuthor);
+      if (profile && profile.grouping === 'never') return null;
+
+      // Keyed by the normalized name, so "Y. LeCun" and "Yann LeCun" share a group
+      return {
+        key: `author:${context.authorMatcher.getNameKey(paperData.firstAuthor)}`,
+        title: context.titleBuilder.getShortAuthorName(paperData.firstAuthor)
+      };
+    }
+  },
+
+  category: {
+    description: 'Primary subject, e.g. all cs.LG papers together',
+    getGroup(paperData, context) {
+      const subcategory = context.titleBuilder.getSubcategory(paperData.category);
+      if (!subcategory) return null;
+      return {
+        key: `category:${subcategory}`,
+        title: subcategory
+      };
+    }
+  },
+
+  likedAuthor: {
+    description: 'Group papers by a liked author and leave the rest ungrouped',
+    getGroup(paperData, context) {
+      const match = context.likedAuthors.findMatch(paperData.authorsList, ['auto', 'always']);
+      return match ? getLikedAuthorGroup(match, context) : null;
+    }
+  },
+
+  tag: {
+    description: 'Tags you assign to papers from the popup',
+    getGroup(paperData, context) {
+      const tag = context.paperTags[paperData.id];
+      if (!tag) return null;
+      return {
+        key: `tag:${tag}`,
+        title: tag
+      };
+    }
+  }
+};
+
+class ArxivGrouper {
+  constructor() {
+    this.titleBuilder = new ArxivTitleBuilder();
+    this.authorMatcher = new ArxivAuthorMatcher();
+    this.likedAuthors = new ArxivLikedAuthors();
+  }
+
+  // Loads what the strategies need to know beyond the paper itself
+  async loadContext() {
+    try {
+      const [result] = await Promise.all([
+        chrome.storage.local.get('paperTags'),
+        this.likedAuthors.load()
+      ]);
+      return {
+        titleBuilder: this.titleBuilder,
+        authorMatcher: this.authorMatcher,
+        likedAuthors: this.likedAuthors,
+        paperTags: result.paperTags || {}
+      };
+    } catch (error) {
+      console.error('Failed to load grouping context:', error);
+      return {
+        titleBuilder: this.titleBuilder,
+        authorMatcher: this.authorMatcher,
+        likedAuthors: new ArxivLikedAuthors(),
+        paperTags: {}
+      };
+    }
+  }
+
+  async getGroup(strategyName, paperData, context = null) {
+    const strategy = GROUPING_STRATEGIES[strategyName] || GROUPING_STRATEGIES.author;
+    if (!paperData) return null;
+
+    const groupingContext = context || await this.loadContext();
+    const always = groupingContext.likedAuthors.findMatch(paperData.authorsList, ['always']);
+    if (always) return getLikedAuthorGroup(always, groupingContext);
+
+    return strategy.getGroup(paperData, groupingContext);
+  }
+}
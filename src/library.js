@@ -0,0 +1,146 @@
+// ArXiv Tab Enhancer Library
+// Reading list of saved papers with status, priority, notes and tags.
+// Paper metadata stays in the paper store; saved papers are pinned there.
+
+const LIBRARY_STORAGE_KEY = 'library';
+
+const LIBRARY_STATUSES = {
+  'to-read': 'To read',
+  'reading': 'Reading',
+  'read': 'Read',
+  'skimmed': 'Skimmed'
+};
+
+const LIBRARY_PRIORITIES = {
+  high: 'High',
+  normal: 'Normal',
+  low: 'Low'
+};
+
+class ArxivLibrary {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+    this.entries = {};
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(LIBRARY_STORAGE_KEY);
+      this.entries = result[LIBRARY_STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('Failed to load library:', error);
+      this.entries = {};
+    }
+    return this.entries;
+  }
+
+  isSaved(paperIdOrUrl) {
+    const paperId = this.idParser.getPaperId(paperIdOrUrl);
+    return !!paperId && !!this.entries[paperId];
+  }
+
+  getEntry(paperIdOrUrl) {
+    const paperId = this.idParser.getPaperId(paperIdOrUrl);
+    return paperId ? this.entries[paperId] || null : null;
+  }
+
+  getSavedIds() {
+    return Object.keys(this.entries);
+  }
+
+  // Saves a paper, or updates the fields given for one already saved
+  async save(paperIdOrUrl, fields = {}) {
+    const paperId = this.idParser.getPaperId(paperIdOrUrl);
+    if (!paperId) {
+      throw new Error('Not an arXiv paper');
+    }
+
+    await this.load();
+    const existing = this.entries[paperId] || {
+      id: paperId,
+      status: 'to-read',
+      priority: 'normal',
+      notes: '',
+      tags: [],
+      savedAt: Date.now()
+    };
+
+    const entry = { ...existing, ...this.validate(fields), updatedAt: Date.now() };
+    this.entries[paperId] = entry;
+    await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: this.entries });
+    return entry;
+  }
+
+  async remove(paperIdOrUrl) {
+    const paperId = this.idParser.getPaperId(paperIdOrUrl);
+    await this.load();
+    if (!paperId || !this.entries[paperId]) return;
+
+    delete this.entries[paperId];
+    await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: this.entries });
+  }
+
+  // Replaces every entry, e.g. with ones imported from a backup. Entries that don't name a
+  // paper are dropped; invalid fields throw like save() does.
+  async replace(entries) {
+    const replaced = {};
+    for (const entry of Object.values(entries || {})) {
+      const paperId = this.idParser.getPaperId(entry && entry.id);
+      if (!paperId) continue;
+
+      replaced[paperId] = {
+        id: paperId,
+        status: 'to-read',
+        priority: 'normal',
+        notes: '',
+        tags: [],
+        savedAt: entry.savedAt || Date.now(),
+        ...this.validate(entry),
+        updatedAt: entry.updatedAt || Date.now()
+      };
+    }
+
+    this.entries = replaced;
+    await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: this.entries });
+    return this.entries;
+  }
+
+  validate(fields) {
+    const valid = {};
+
+    if (fields.status !== undefined) {
+      if (!LIBRARY_STATUSES[fields.status]) {
+        throw new Error(`Unknown status: ${fields.status}`);
+      }
+      valid.status = fields.status;
+    }
+
+    if (fields.priority !== undefined) {
+      if (!LIBRARY_PRIORITIES[fields.priority]) {
+        throw new Error(`Unknown priority: ${fields.priority}`);
+      }
+      valid.priority = fields.priority;
+    }
+
+    if (fields.notes !== undefined) {
+      valid.notes = String(fields.notes);
+    }
+
+    if (fields.tags !== undefined) {
+      const tags = Array.isArray(fields.tags) ? fields.tags : String(fields.tags).split(',');
+      valid.tags = [...new Set(tags.map(tag => String(tag).trim()).filter(tag => tag))];
+    }
+
+    return valid;
+  }
+
+  // Calls back with all entries whenever any context changes the library
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[LIBRARY_STORAGE_KEY]) return;
+
+      this.entries = changes[LIBRARY_STORAGE_KEY].newValue || {};
+      callback(this.entries);
+    });
+  }
+}
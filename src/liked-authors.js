@@ -0,0 +1,179 @@
+// ArXiv Tab Enhancer Liked Authors
+// Profiles for liked authors, stored in priority order: the highest-ranked profile on a paper
+// wins. Each profile can have aliases, a custom group label, a pinned group color and a
+// grouping flag. Older versions stored a plain list of names, which load() migrates.
+
+const LIKED_AUTHORS_STORAGE_KEY = 'likedAuthors';
+
+const LIKED_AUTHOR_GROUPING = {
+  auto: 'Group by the current strategy',
+  always: 'Always group, whatever the strategy',
+  never: 'Never group by this author'
+};
+
+class ArxivLikedAuthors {
+  constructor() {
+    this.authorMatcher = new ArxivAuthorMatcher();
+    this.profiles = [];
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(LIKED_AUTHORS_STORAGE_KEY);
+      const stored = result[LIKED_AUTHORS_STORAGE_KEY] || [];
+      this.profiles = this.migrate(stored);
+
+      if (stored.some(entry => typeof entry === 'string')) {
+        await this.persist();
+        console.log(`Migrated ${this.profiles.length} liked authors to profiles`);
+      }
+    } catch (error) {
+      console.error('Failed to load liked authors:', error);
+      this.profiles = [];
+    }
+    return this.profiles;
+  }
+
+  // Plain names from older versions become profiles with default options, in the same order.
+  // Their IDs come from the position, so every context migrating at once agrees on them.
+  migrate(stored) {
+    return stored
+      .map((entry, index) => (typeof entry === 'string' ? this.createProfile(entry, `author_${index}`) : entry))
+      .filter(profile => profile && profile.name);
+  }
+
+  createProfile(name, id = null) {
+    return {
+      id: id || `author_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+      name: String(name).trim(),
+      aliases: [],
+      label: '',
+      color: null,
+      grouping: 'auto'
+    };
+  }
+
+  list() {
+    return this.profiles;
+  }
+
+  get(profileId) {
+    return this.profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  // The names a profile matches: its name and aliases. arXiv author-ID URLs such as
+  // https://arxiv.org/a/lecun_y_1 stand for "lecun, y".
+  getNames(profile) {
+    return [profile.name, ...profile.aliases].map(name => {
+      const match = name.match(/arxiv\.org\/a\/([a-z0-9_-]+)/i);
+      return match ? match[1].replace(/_\d+$/, '').replace(/_/g, ', ') : name;
+    });
+  }
+
+  // The profile a single author name belongs to, if any
+  findProfile(authorName) {
+    return this.profiles.find(profile =>
+      this.getNames(profile).some(name => this.authorMatcher.isMatch(authorName, name))) || null;
+  }
+
+  // The highest-ranked profile on the paper, with the author it matched, or null. Pass
+  // groupings to skip profiles with other flags, e.g. ['always'].
+  findMatch(authorsList, groupings = null) {
+    if (!authorsList) return null;
+
+    for (const profile of this.profiles) {
+      if (groupings && !groupings.includes(profile.grouping)) continue;
+
+      const names = this.getNames(profile);
+      const author = authorsList.find(candidate => names.some(name => this.authorMatcher.isMatch(candidate, name)));
+      if (author) {
+        return { profile, author };
+      }
+    }
+    return null;
+  }
+
+  async add(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Author name cannot be empty');
+    }
+
+    await this.load();
+    if (this.findProfile(trimmed)) {
+      throw new Error('Author already in liked list');
+    }
+
+    const profile = this.createProfile(trimmed);
+    this.profiles.push(profile);
+    await this.persist();
+    return profile;
+  }
+
+  async update(profileId, fields) {
+    await this.load();
+    const profile = this.get(profileId);
+    if (!profile) {
+      throw new Error('Author not found');
+    }
+
+    this.applyFields(profile, fields);
+    await this.persist();
+    return profile;
+  }
+
+  // Replaces every profile, e.g. with ones imported from a backup or synced from another device
+  async replace(profiles) {
+    this.profiles = this.migrate(profiles).map(entry => this.applyFields(this.createProfile(entry.name, entry.id), entry));
+    await this.persist();
+    return this.profiles;
+  }
+
+  // Sets the fields given, ignoring colors and flags Chrome or the grouper wouldn't understand
+  applyFields(profile, fields) {
+    if (fields.name !== undefined && String(fields.name).trim()) {
+      profile.name = String(fields.name).trim();
+    }
+    if (fields.aliases !== undefined) {
+      profile.aliases = [...new Set([].concat(fields.aliases).map(alias => String(alias).trim()).filter(alias => alias))];
+    }
+    if (fields.label !== undefined) {
+      profile.label = String(fields.label || '').trim().substring(0, 50);
+    }
+    if (fields.color !== undefined) {
+      profile.color = TAB_GROUP_COLORS.includes(fields.color) ? fields.color : null;
+    }
+    if (fields.grouping !== undefined && LIKED_AUTHOR_GROUPING[fields.grouping]) {
+      profile.grouping = fields.grouping;
+    }
+    return profile;
+  }
+
+  async remove(profileId) {
+    await this.load();
+    this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+    await this.persist();
+  }
+
+  // Sets the priority order; profiles missing from profileIds keep their place at the end
+  async reorder(profileIds) {
+    await this.load();
+    const ranked = profileIds.map(profileId => this.get(profileId)).filter(profile => profile);
+    this.profiles = [...ranked, ...this.profiles.filter(profile => !ranked.includes(profile))];
+    await this.persist();
+  }
+
+  async persist() {
+    await chrome.storage.local.set({ [LIKED_AUTHORS_STORAGE_KEY]: this.profiles });
+  }
+
+  // Calls back with the profiles whenever any context changes them
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[LIKED_AUTHORS_STORAGE_KEY]) return;
+
+      this.profiles = this.migrate(changes[LIKED_AUTHORS_STORAGE_KEY].newValue || []);
+      callback(this.profiles);
+    });
+  }
+}
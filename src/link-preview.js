@@ -0,0 +1,196 @@
+// ArXiv Tab Enhancer Link Previews
+// Optional content script for any web page: marks links to arXiv papers and shows a tooltip
+// with the paper's details on hover. Registered by the background only while the
+// linkPreviewsEnabled setting is on and access to all sites has been granted.
+
+const LINK_PREVIEW_HOVER_DELAY = 350;
+const LINK_PREVIEW_ABSTRACT_LENGTH = 280;
+
+const LINK_PREVIEW_STYLES = `
+  .tooltip {
+    position: fixed;
+    z-index: 2147483647;
+    max-width: 380px;
+    padding: 10px 12px;
+    border: 1px solid #e0e0e0;
+    border-radius: 8px;
+    background: white;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+    font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    color: #1a1a1a;
+  }
+  .title { font-weight: 600; font-size: 13px; margin-bottom: 4px; }
+  .authors { color: #444; margin-bottom: 4px; }
+  .liked { background: #e7f5e7; color: #2d5a2d; border-radius: 3px; padding: 0 2px; font-weight: 600; }
+  .meta { color: #666; font-size: 11px; margin-bottom: 6px; }
+  .abstract { color: #333; margin-bottom: 6px; }
+  .status { display: flex; gap: 6px; flex-wrap: wrap; }
+  .badge { border-radius: 4px; padding: 1px 6px; font-size: 11px; }
+  .badge.open { background: #e8eefc; color: #1a56a8; }
+  .badge.saved { background: #fff4db; color: #8a5a00; }
+`;
+
+class ArxivLinkPreview {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+    this.previews = new Map(); // Paper ID -> promise for the background's preview data
+    this.checkedLinks = new WeakMap(); // Link -> { href, paperId } as of the last check
+    this.hoverTimer = null;
+    this.decorateTimer = null;
+    this.currentLink = null;
+    this.init();
+  }
+
+  init() {
+    this.createTooltip();
+    this.decorateLinks(document);
+
+    // Pages like Twitter add links as you scroll. Only the added elements and links whose
+    // href changed are looked at, so long pages aren't scanned again on every change.
+    const changed = new Set();
+    new MutationObserver((records) => {
+      for (const record of records) {
+        if (record.type === 'attributes') {
+          changed.add(record.target);
+        }
+        record.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) changed.add(node);
+        });
+      }
+      if (changed.size === 0 || this.decorateTimer) return;
+
+      this.decorateTimer = setTimeout(() => {
+        this.decorateTimer = null;
+        const roots = Array.from(changed).filter(node => node.isConnected);
+        changed.clear();
+        roots.forEach(root => this.decorateLinks(root));
+      }, 500);
+    }).observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['href'] });
+
+    document.addEventListener('mouseover', (e) => this.handleMouseOver(e));
+    document.addEventListener('mouseout', (e) => this.handleMouseOut(e));
+  }
+
+  createTooltip() {
+    // A shadow root keeps the page's styles off the tooltip and ours off the page
+    const host = document.createElement('div');
+    const shadow = host.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `<style>${LINK_PREVIEW_STYLES}</style><div class="tooltip" hidden></div>`;
+    this.tooltip = shadow.querySelector('.tooltip');
+    document.documentElement.appendChild(host);
+  }
+
+  // The page's markup is left alone apart from styling arXiv links; which links were
+  // checked is remembered here instead. root is the document or an element, maybe a link.
+  decorateLinks(root) {
+    if (root instanceof Element && root.matches('a[href]')) {
+      this.checkLink(root);
+    }
+    root.querySelectorAll('a[href]').forEach(link => this.checkLink(link));
+  }
+
+  // The paper a link points to, or null. Links are checked again when their href changes.
+  checkLink(link) {
+    const checked = this.checkedLinks.get(link);
+    if (checked && checked.href === link.href) return checked.paperId;
+
+    const paperId = this.idParser.getPaperId(link.href);
+    this.checkedLinks.set(link, { href: link.href, paperId });
+    if (paperId) {
+      link.style.textDecorationStyle = 'dotted';
+    }
+    return paperId;
+  }
+
+  getPaperLink(target) {
+    const link = target instanceof Element ? target.closest('a[href]') : null;
+    return link && this.checkLink(link) ? link : null;
+  }
+
+  handleMouseOver(e) {
+    const link = this.getPaperLink(e.target);
+    if (!link || link === this.currentLink) return;
+
+    this.currentLink = link;
+    clearTimeout(this.hoverTimer);
+    this.hoverTimer = setTimeout(() => this.showPreview(link), LINK_PREVIEW_HOVER_DELAY);
+  }
+
+  handleMouseOut(e) {
+    const link = this.getPaperLink(e.target);
+    if (!link || link.contains(e.relatedTarget)) return;
+
+    this.currentLink = null;
+    clearTimeout(this.hoverTimer);
+    this.tooltip.hidden = true;
+  }
+
+  async showPreview(link) {
+    const paperId = this.checkLink(link);
+    if (!this.previews.has(paperId)) {
+      this.previews.set(paperId, chrome.runtime.sendMessage({ action: 'getLinkPreview', paperId }).catch(() => null));
+    }
+
+    this.renderTooltip({ loading: true, paperId });
+    this.positionTooltip(link);
+
+    const preview = await this.previews.get(paperId);
+    if (this.currentLink !== link) return; // The pointer moved on while we waited
+
+    if (!preview || !preview.paperData) {
+      this.previews.delete(paperId); // Try again on the next hover
+    }
+    this.renderTooltip({ paperId, ...preview });
+    this.positionTooltip(link);
+  }
+
+  renderTooltip({ loading, paperId, paperData, likedAuthors = [], open, saved }) {
+    const escape = text => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    if (loading || !paperData) {
+      this.tooltip.innerHTML = `<div class="meta">arXiv:${escape(paperId)}${loading ? ' · loading…' : ' · no details found'}</div>`;
+      this.tooltip.hidden = false;
+      return;
+    }
+
+    const authors = (paperData.authorsList || [])
+      .map(author => (likedAuthors.includes(author) ? `<span class="liked">${escape(author)}</span>` : escape(author)))
+      .join(', ');
+    const abstract = paperData.abstract && paperData.abstract.length > LINK_PREVIEW_ABSTRACT_LENGTH
+      ? paperData.abstract.substring(0, LINK_PREVIEW_ABSTRACT_LENGTH).replace(/\s+\S*$/, '') + '…'
+      : paperData.abstract;
+
+    const badges = [
+      open ? '<span class="badge open">Open in a tab</span>' : '',
+      saved ? `<span class="badge saved">Saved${saved.status ? ` · ${escape(saved.status)}` : ''}</span>` : ''
+    ].join('');
+
+    this.tooltip.innerHTML = `
+      <div class="title">${escape(paperData.title)}</div>
+      <div class="authors">${authors}</div>
+      <div class="meta">${escape([paperData.category, `arXiv:${paperId}`].filter(part => part).join(' · '))}</div>
+      ${abstract ? `<div class="abstract">${escape(abstract)}</div>` : ''}
+      ${badges ? `<div class="status">${badges}</div>` : ''}
+    `;
+    this.tooltip.hidden = false;
+  }
+
+  positionTooltip(link) {
+    // Below the link, or above it when there's no room, kept inside the viewport
+    const rect = link.getBoundingClientRect();
+    const tooltipRect = this.tooltip.getBoundingClientRect();
+    const top = rect.bottom + 6 + tooltipRect.height > window.innerHeight
+      ? Math.max(6, rect.top - 6 - tooltipRect.height)
+      : rect.bottom + 6;
+    const left = Math.min(Math.max(6, rect.left), window.innerWidth - tooltipRect.width - 6);
+
+    this.tooltip.style.top = `${top}px`;
+    this.tooltip.style.left = `${left}px`;
+  }
+}
+
+new ArxivLinkPreview();
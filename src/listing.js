@@ -0,0 +1,261 @@
+// ArXiv Tab Enhancer Listing Pages
+// Content script for /list, /search and /catchup pages: gives the tab a meaningful title,
+// highlights liked authors, marks papers already opened or saved, and opens a selection of
+// papers straight into their groups.
+
+const LISTING_STYLES = `
+  .ate-entry-liked { border-left: 3px solid #2d5a2d; padding-left: 6px; }
+  .ate-liked-author { background: #e7f5e7; color: #2d5a2d; border-radius: 3px; padding: 0 2px; font-weight: 600; }
+  .ate-marker { display: inline-block; margin-left: 6px; padding: 0 5px; border-radius: 4px; font-size: 11px; vertical-align: middle; }
+  .ate-marker-opened { background: #e8eefc; color: #1a56a8; }
+  .ate-marker-saved { background: #fff4db; color: #8a5a00; }
+  .ate-select { margin-right: 6px; vertical-align: middle; cursor: pointer; }
+  .ate-action-bar {
+    position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+    display: flex; gap: 8px; padding: 8px; border: 1px solid #e0e0e0; border-radius: 8px;
+    background: white; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+    font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .ate-action-bar button {
+    padding: 6px 12px; border: 1px solid #ddd; border-radius: 6px; background: white; cursor: pointer; font: inherit;
+  }
+  .ate-action-bar button.primary { background: #4f46e5; border-color: #4f46e5; color: white; }
+  .ate-action-bar button:disabled { opacity: 0.5; cursor: default; }
+`;
+
+// How /list/<category>/<kind> pages are named in titles
+const LISTING_KIND_LABELS = {
+  new: 'new',
+  recent: 'recent',
+  pastweek: 'past week',
+  current: 'this month'
+};
+
+class ArxivListingEnhancer {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+    this.likedAuthors = new ArxivLikedAuthors();
+    this.library = new ArxivLibrary();
+    this.entries = [];
+    this.init();
+  }
+
+  async init() {
+    const title = this.getListingTitle(new URL(window.location.href), document);
+    if (title) {
+      document.title = title;
+    }
+
+    this.entries = this.findEntries(document);
+    if (this.entries.length === 0) return;
+
+    const style = document.createElement('style');
+    style.textContent = LISTING_STYLES;
+    document.head.appendChild(style);
+
+    await this.markEntries();
+    this.addCheckboxes();
+    this.createActionBar();
+  }
+
+  // "cs.LG new — Mon 19 Oct", "cs.LG catch-up — Fri 16 Oct", "Author: Vaswani"
+  getListingTitle(url, doc) {
+    const parts = url.pathname.split('/').filter(part => part);
+
+    if (parts[0] === 'list' && parts[1]) {
+      const category = parts[1];
+      const kind = parts[2] || 'recent';
+      const monthMatch = kind.match(/^(\d{2}|\d{4})-?(\d{2})$/);
+
+      if (kind === 'new') {
+        const date = this.getHeadingDate(doc);
+        return date ? `${category} new — ${this.formatDay(date)}` : `${category} new`;
+      } else if (monthMatch) {
+        const year = monthMatch[1].length === 2 ? `20${monthMatch[1]}` : monthMatch[1];
+        const month = new Date(`${year}-${monthMatch[2]}-01T00:00:00`);
+        return `${category} — ${month.toLocaleDateString('en-GB', { month: 'short', year: 'numeric' })}`;
+      }
+      return `${category} ${LISTING_KIND_LABELS[kind] || kind}`;
+    }
+
+    if (parts[0] === 'catchup' && parts[1]) {
+      const date = parts[2] ? new Date(`${parts[2]}T00:00:00`) : this.getHeadingDate(doc);
+      return date && !isNaN(date) ? `${parts[1]} catch-up — ${this.formatDay(date)}` : `${parts[1]} catch-up`;
+    }
+
+    if (parts[0] === 'search') {
+      const query = url.searchParams.get('query');
+      if (!query) return 'arXiv search';
+      return url.searchParams.get('searchtype') === 'author' ? `Author: ${query}` : `Search: ${query}`;
+    }
+
+    return null;
+  }
+
+  // Listing headings carry the announcement date, e.g. "Showing new listings for Monday,
+  // 19 October 2026" or the older "New submissions for Mon, 19 Oct 26"
+  getHeadingDate(doc) {
+    for (const heading of doc.querySelectorAll('h3, h2')) {
+      const match = heading.textContent.match(/(\d{1,2})\s+([A-Za-z]{3,})\s+(\d{4}|\d{2})\b/);
+      if (match) {
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        const date = new Date(`${match[1]} ${match[2]} ${year}`);
+        if (!isNaN(date)) return date;
+      }
+    }
+    return null;
+  }
+
+  formatDay(date) {
+    return date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+  }
+
+  // Each entry: the paper ID, the element to mark, where the checkbox goes and its author links.
+  // Listings use <dt>/<dd> pairs; search results use <li class="arxiv-result">.
+  findEntries(doc) {
+    const entries = [];
+
+    doc.querySelectorAll('dl dt').forEach(dt => {
+      const link = dt.querySelector('a[href*="/abs/"]');
+      const dd = dt.nextElementSibling;
+      const paperId = link ? this.idParser.getPaperId(link.href) : null;
+      if (!paperId || !dd || dd.tagName !== 'DD') return;
+
+      entries.push({
+        paperId,
+        element: dd,
+        anchor: dt,
+        authorLinks: Array.from(dd.querySelectorAll('.list-authors a'))
+      });
+    });
+
+    doc.querySelectorAll('li.arxiv-result').forEach(item => {
+      const link = item.querySelector('.list-title a[href*="/abs/"]');
+      const paperId = link ? this.idParser.getPaperId(link.href) : null;
+      if (!paperId) return;
+
+      entries.push({
+        paperId,
+        element: item,
+        anchor: item.querySelector('.list-title') || item,
+        authorLinks: Array.from(item.querySelectorAll('.authors a'))
+      });
+    });
+
+    return entries;
+  }
+
+  async markEntries() {
+    try {
+      // The paper store lives in the extension's origin, so the background reads it for us
+      const [response] = await Promise.all([
+        chrome.runtime.sendMessage({ action: 'getPapers', paperIds: this.entries.map(entry => entry.paperId) }),
+        this.likedAuthors.load(),
+        this.library.load()
+      ]);
+
+      for (const entry of this.entries) {
+        let hasLikedAuthor = false;
+        entry.authorLinks.forEach(link => {
+          const author = link.textContent.trim();
+          if (this.likedAuthors.findProfile(author)) {
+            link.classList.add('ate-liked-author');
+            hasLikedAuthor = true;
+          }
+        });
+        entry.element.classList.toggle('ate-entry-liked', hasLikedAuthor);
+
+        const record = response && response.papers ? response.papers[entry.paperId] : null;
+        if (record && record.lastOpened) {
+          this.addMarker(entry, 'opened', 'Opened');
+        }
+        const saved = this.library.getEntry(entry.paperId);
+        if (saved) {
+          this.addMarker(entry, 'saved', `Saved · ${LIBRARY_STATUSES[saved.status]}`);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to mark listing entries:', error);
+    }
+  }
+
+  addMarker(entry, kind, text) {
+    const marker = document.createElement('span');
+    marker.className = `ate-marker ate-marker-${kind}`;
+    marker.textContent = text;
+    entry.anchor.appendChild(marker);
+  }
+
+  addCheckboxes() {
+    for (const entry of this.entries) {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'ate-select';
+      checkbox.title = 'Select to open in groups';
+      checkbox.addEventListener('change', () => this.updateActionBar());
+      entry.anchor.prepend(checkbox);
+      entry.checkbox = checkbox;
+    }
+  }
+
+  createActionBar() {
+    const bar = document.createElement('div');
+    bar.className = 'ate-action-bar';
+
+    this.selectAllButton = document.createElement('button');
+    this.selectAllButton.textContent = 'Select all';
+    this.selectAllButton.addEventListener('click', () => {
+      const selectAll = this.getSelectedIds().length < this.entries.length;
+      this.entries.forEach(entry => {
+        entry.checkbox.checked = selectAll;
+      });
+      this.updateActionBar();
+    });
+
+    this.openButton = document.createElement('button');
+    this.openButton.className = 'primary';
+    this.openButton.addEventListener('click', () => this.openSelected());
+
+    bar.append(this.selectAllButton, this.openButton);
+    document.body.appendChild(bar);
+    this.updateActionBar();
+  }
+
+  updateActionBar() {
+    const count = this.getSelectedIds().length;
+    this.openButton.textContent = `Open selected in groups (${count})`;
+    this.openButton.disabled = count === 0;
+    this.selectAllButton.textContent = count === this.entries.length ? 'Select none' : 'Select all';
+  }
+
+  getSelectedIds() {
+    return [...new Set(this.entries.filter(entry => entry.checkbox && entry.checkbox.checked).map(entry => entry.paperId))];
+  }
+
+  async openSelected() {
+    const paperIds = this.getSelectedIds();
+    if (paperIds.length === 0) return;
+
+    const originalText = this.openButton.textContent;
+    this.openButton.textContent = `Opening ${paperIds.length} papers...`;
+    this.openButton.disabled = true;
+
+    try {
+      // The background looks the papers up in one batch, then opens and groups them
+      const response = await chrome.runtime.sendMessage({ action: 'openPapersInGroups', paperIds });
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
+      this.entries.forEach(entry => {
+        entry.checkbox.checked = false;
+      });
+      this.updateActionBar();
+    } catch (error) {
+      console.error('Failed to open selected papers:', error);
+      this.openButton.textContent = originalText;
+      this.openButton.disabled = false;
+    }
+  }
+}
+
+new ArxivListingEnhancer();
@@ -0,0 +1,151 @@
+// ArXiv Tab Enhancer Metadata Service
+// Looks up paper metadata through the arXiv export API (Atom feed) from the background worker.
+// Requests are batched with id_list=, deduplicated per ID and spaced to respect arXiv's
+// guideline of at most one request every 3 seconds.
+
+class ArxivMetadataService {
+  constructor(endpoint = SETTINGS_SCHEMA.metadataEndpoint.default, { minInterval = 3000, batchSize = 20 } = {}) {
+    this.endpoint = endpoint;
+    this.minInterval = minInterval;
+    this.batchSize = batchSize;
+    this.idParser = new ArxivIdParser();
+    this.inFlight = new Map(); // Paper ID -> promise for lookups not yet answered
+    this.pending = []; // Queued lookups: { paperId, resolve }
+    this.lastRequestAt = 0;
+    this.flushTimer = null;
+  }
+
+  // Resolves to a paper record, or null if the API doesn't know the paper or fails
+  lookup(paperIdOrUrl) {
+    const paperId = this.idParser.getPaperId(paperIdOrUrl);
+    if (!paperId) return Promise.resolve(null);
+
+    if (this.inFlight.has(paperId)) {
+      return this.inFlight.get(paperId);
+    }
+
+    const promise = new Promise(resolve => {
+      this.pending.push({ paperId, resolve });
+    }).finally(() => {
+      this.inFlight.delete(paperId);
+    });
+
+    this.inFlight.set(paperId, promise);
+    this.scheduleFlush();
+    return promise;
+  }
+
+  lookupMany(paperIds) {
+    return Promise.all(paperIds.map(paperId => this.lookup(paperId)));
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    const wait = Math.max(0, this.lastRequestAt + this.minInterval - Date.now());
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, wait);
+  }
+
+  async flush() {
+    const batch = this.pending.splice(0, this.batchSize);
+    if (batch.length === 0) return;
+
+    this.lastRequestAt = Date.now();
+    const records = await this.fetchBatch(batch.map(item => item.paperId));
+    batch.forEach(item => item.resolve(records.get(item.paperId) || null));
+
+    if (this.pending.length > 0) {
+      this.scheduleFlush();
+    }
+  }
+
+  async fetchBatch(paperIds) {
+    const records = new Map();
+    try {
+      const url = `${this.endpoint}?id_list=${paperIds.map(encodeURIComponent).join(',')}&max_results=${paperIds.length}`;
+      console.log(`Fetching metadata for ${paperIds.length} papers from export API`);
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        console.error('Export API request failed:', response.status);
+        return records;
+      }
+
+      const xml = await response.text();
+      for (const record of this.parseAtomFeed(xml)) {
+        records.set(record.id, record);
+      }
+    } catch (error) {
+      console.error('Error fetching metadata from export API:', error);
+    }
+    return records;
+  }
+
+  // Service workers have no DOMParser, so the feed is read with patterns. The export API
+  // emits a flat, predictable Atom document, which keeps this manageable.
+  parseAtomFeed(xml) {
+    const entries = xml.match(/<entry>[\s\S]*?<\/entry>/g) || [];
+    return entries
+      .map(entry => this.parseAtomEntry(entry))
+      .filter(record => record !== null);
+  }
+
+  parseAtomEntry(entry) {
+    const parsedId = this.idParser.parse(this.getTagText(entry, 'id'));
+    const title = this.getTagText(entry, 'title');
+
+    // Unknown IDs come back as an entry titled "Error" with an API error ID
+    if (!parsedId || !title) return null;
+
+    const authorsList = (entry.match(/<author>[\s\S]*?<\/author>/g) || [])
+      .map(author => this.getTagText(author, 'name'))
+      .filter(name => name);
+
+    const primaryCategory = entry.match(/<arxiv:primary_category[^>]*\sterm=["']([^"']+)["']/);
+    const categories = (entry.match(/<category[^>]*\sterm=["'][^"']+["']/g) || [])
+      .map(category => this.decodeEntities(category.match(/\sterm=["']([^"']+)["']/)[1]));
+    const doi = this.getTagText(entry, 'arxiv:doi');
+
+    // The feed has no version history or license; the abstract page fills those in when opened
+    return {
+      schemaVersion: PAPER_SCHEMA_VERSION,
+      id: parsedId.id,
+      title: title,
+      authors: authorsList.join(', '),
+      authorsList: authorsList,
+      firstAuthor: authorsList[0] || null,
+      category: primaryCategory ? this.decodeEntities(primaryCategory[1]) : null,
+      categories: [...new Set(primaryCategory ? [this.decodeEntities(primaryCategory[1]), ...categories] : categories)],
+      abstract: this.getTagText(entry, 'summary'),
+      submittedAt: this.getTagText(entry, 'published'),
+      updatedAt: this.getTagText(entry, 'updated'),
+      comments: this.getTagText(entry, 'arxiv:comment'),
+      journalRef: this.getTagText(entry, 'arxiv:journal_ref'),
+      doi: doi ? doi.split(/\s+/)[0] : null,
+      url: this.idParser.getUrl(parsedId.id),
+      // The entry ID names the newest version, e.g. http://arxiv.org/abs/2301.00001v3
+      latestVersion: parsedId.version
+    };
+  }
+
+  getTagText(xml, tagName) {
+    const match = xml.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`));
+    if (!match) return null;
+    return this.decodeEntities(match[1]).replace(/\s+/g, ' ').trim();
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&amp;/g, '&');
+  }
+}
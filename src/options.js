@@ -0,0 +1,374 @@
+// ArXiv Tab Enhancer Options Page Script
+
+class OptionsManager {
+  constructor() {
+    this.settings = new ArxivSettings();
+    this.paperStore = new ArxivPaperStore();
+    this.backup = new ArxivBackup();
+    this.previewPaper = SAMPLE_PAPER;
+    this.init();
+  }
+
+  async init() {
+    await this.settings.load();
+    this.previewPaper = await this.getPreviewPaper();
+    this.renderForm();
+    await this.renderShortcuts();
+    this.setupEventListeners();
+
+    // Keep the form in sync with changes made from the popup
+    this.settings.onChange((changedKeys) => {
+      changedKeys.forEach(key => this.updateField(key));
+      if (changedKeys.includes('syncEnabled')) {
+        this.renderSyncStatus();
+      }
+    });
+
+    this.renderSyncStatus();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[SYNC_STATUS_KEY]) {
+        this.renderSyncStatus();
+      }
+    });
+  }
+
+  async getPreviewPaper() {
+    // Preview against the most recently opened paper, if there is one
+    try {
+      const papers = (await this.paperStore.getRecent(5)).filter(paper => paper.title);
+      return papers[0] || SAMPLE_PAPER;
+    } catch (error) {
+      console.error('Failed to get preview paper:', error);
+      return SAMPLE_PAPER;
+    }
+  }
+
+  renderForm() {
+    const form = document.getElementById('settings-form');
+    form.innerHTML = '';
+
+    for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+      const setting = document.createElement('div');
+      setting.className = 'setting';
+
+      const label = document.createElement('label');
+      label.htmlFor = `setting-${key}`;
+      label.textContent = spec.label;
+
+      const input = this.createInput(key, spec);
+
+      const description = document.createElement('div');
+      description.className = 'setting-description';
+      description.textContent = spec.description;
+
+      const error = document.createElement('div');
+      error.className = 'setting-error';
+      error.id = `error-${key}`;
+
+      if (spec.type === 'boolean') {
+        label.prepend(input);
+        setting.append(label, description, error);
+      } else {
+        setting.append(label, input, description, error);
+      }
+
+      if (key === 'titleTemplate') {
+        const preview = document.createElement('div');
+        preview.className = 'title-preview';
+        preview.id = 'title-preview';
+        setting.append(preview);
+      }
+
+      form.appendChild(setting);
+    }
+
+    this.updateTitlePreview();
+  }
+
+  createInput(key, spec) {
+    let input;
+    if (spec.options) {
+      input = document.createElement('select');
+      input.innerHTML = spec.options
+        .map(option => `<option value="${option}">${spec.optionLabels?.[option] || option}</option>`)
+        .join('');
+      input.value = this.settings.get(key);
+    } else if (spec.type === 'boolean') {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = this.settings.get(key);
+    } else {
+      input = document.createElement('input');
+      input.type = spec.type === 'number' ? 'number' : 'text';
+      if (spec.type === 'number') {
+        input.min = spec.min;
+        input.max = spec.max;
+      }
+      input.value = this.settings.get(key);
+    }
+
+    input.id = `setting-${key}`;
+    input.dataset.key = key;
+    return input;
+  }
+
+  setupEventListeners() {
+    const form = document.getElementById('settings-form');
+
+    form.addEventListener('change', (e) => {
+      const key = e.target.dataset.key;
+      if (key) {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        this.saveSetting(key, value);
+      }
+    });
+
+    form.addEventListener('input', (e) => {
+      if (e.target.dataset.key === 'titleTemplate' || e.target.dataset.key === 'titleMaxLength') {
+        this.updateTitlePreview();
+      }
+    });
+
+    document.getElementById('reset-btn').addEventListener('click', () => {
+      this.resetSettings();
+    });
+
+    document.getElementById('edit-shortcuts-btn').addEventListener('click', () => {
+      // Pages can't link to chrome:// URLs, but extensions can open them in a tab
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    document.getElementById('import-mode').innerHTML = Object.entries(BACKUP_IMPORT_MODES)
+      .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+      .join('');
+
+    document.getElementById('export-btn').addEventListener('click', () => {
+      this.exportBackup();
+    });
+
+    // The file picker opens from the button; picking a file starts the import
+    document.getElementById('import-btn').addEventListener('click', () => {
+      document.getElementById('import-file').click();
+    });
+
+    document.getElementById('import-file').addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (file) {
+        this.importBackup(file);
+      }
+    });
+
+    document.getElementById('sync-now-btn').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'syncNow' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          const message = chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error;
+          alert(`Failed to sync: ${message || 'no response from the extension'}`);
+        }
+      });
+    });
+
+    // Pick up shortcuts changed on Chrome's shortcuts page when coming back to this tab
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.renderShortcuts();
+      }
+    });
+  }
+
+  async renderShortcuts() {
+    try {
+      const commands = await chrome.commands.getAll();
+      const list = document.getElementById('shortcut-list');
+      list.innerHTML = '';
+
+      for (const command of commands) {
+        const row = document.createElement('div');
+        row.className = 'shortcut';
+
+        const description = document.createElement('span');
+        description.textContent = command.description;
+
+        const key = document.createElement('span');
+        key.className = command.shortcut ? 'shortcut-key' : 'shortcut-key unset';
+        key.textContent = command.shortcut || 'Not set';
+
+        row.append(description, key);
+        list.appendChild(row);
+      }
+    } catch (error) {
+      console.error('Failed to load shortcuts:', error);
+    }
+  }
+
+  async saveSetting(key, value) {
+    const input = document.getElementById(`setting-${key}`);
+    const error = document.getElementById(`error-${key}`);
+
+    try {
+      // Link previews need access to every site; the request must come from this click
+      if (key === 'linkPreviewsEnabled' && value) {
+        const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+        if (!granted) {
+          input.checked = false;
+          error.textContent = 'Access to all sites is needed to preview links on them';
+          return;
+        }
+      }
+
+      // The manifest only grants arXiv's hosts; any other endpoint, like a local fixture
+      // server, needs access to its host before the background can fetch from it
+      if (key === 'metadataEndpoint') {
+        const endpoint = new URL(this.settings.validate(key, value));
+        const granted = await chrome.permissions.request({ origins: [`${endpoint.protocol}//${endpoint.hostname}/*`] });
+        if (!granted) {
+          input.value = this.settings.get(key);
+          error.textContent = `Access to ${endpoint.host} is needed to look papers up there`;
+          return;
+        }
+      }
+
+      await this.settings.set({ [key]: value });
+      input.classList.remove('invalid');
+      error.textContent = '';
+      this.showSaveStatus('Saved');
+    } catch (err) {
+      console.error(`Failed to save setting ${key}:`, err);
+      input.classList.add('invalid');
+      error.textContent = err.message;
+    }
+  }
+
+  async resetSettings() {
+    try {
+      await this.settings.reset();
+      this.renderForm();
+      this.showSaveStatus('Defaults restored');
+    } catch (error) {
+      console.error('Failed to reset settings:', error);
+      alert('Failed to reset settings');
+    }
+  }
+
+  async renderSyncStatus() {
+    const status = document.getElementById('sync-status');
+    try {
+      const result = await chrome.storage.local.get(SYNC_STATUS_KEY);
+      const syncStatus = result[SYNC_STATUS_KEY] || {};
+
+      if (!this.settings.get('syncEnabled')) {
+        status.textContent = 'Sync is off. Turn on "Sync settings and liked authors" above to keep them the same on every computer.';
+      } else if (syncStatus.error) {
+        status.textContent = `Sync failed: ${syncStatus.error}`;
+      } else if (syncStatus.lastSyncedAt) {
+        status.textContent = `Settings and liked authors last synced ${new Date(syncStatus.lastSyncedAt).toLocaleString()}.`;
+      } else {
+        status.textContent = 'Settings and liked authors have not been synced yet.';
+      }
+    } catch (error) {
+      console.error('Failed to load sync status:', error);
+    }
+  }
+
+  async exportBackup() {
+    try {
+      const data = await this.backup.export();
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `arxiv-tab-enhancer-backup-${data.exportedAt.substring(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      this.showSaveStatus('Backup exported');
+    } catch (error) {
+      console.error('Failed to export backup:', error);
+      alert('Failed to export backup');
+    }
+  }
+
+  async importBackup(file) {
+    const mode = document.getElementById('import-mode').value;
+    try {
+      const data = this.backup.parse(await file.text());
+      if (mode === 'replace' && !confirm('Replace your settings, liked authors and library with the backup?')) {
+        return;
+      }
+
+      const report = await this.backup.import(data, mode);
+      this.renderForm();
+      this.renderImportReport(report);
+      this.showSaveStatus('Backup imported');
+    } catch (error) {
+      console.error('Failed to import backup:', error);
+      alert(`Failed to import backup: ${error.message}`);
+    }
+  }
+
+  renderImportReport(report) {
+    const container = document.getElementById('import-report');
+    container.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.textContent = `Imported ${report.settings} settings, ${report.likedAuthors} liked authors and ` +
+      `${report.library} saved papers.`;
+    container.appendChild(summary);
+
+    const sections = { settings: 'Setting', likedAuthors: 'Liked author', library: 'Saved paper' };
+    const addList = (title, lines) => {
+      if (lines.length === 0) return;
+      const heading = document.createElement('div');
+      heading.textContent = title;
+      const list = document.createElement('ul');
+      lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      container.append(heading, list);
+    };
+
+    addList(`${report.conflicts.length} conflicts kept the value already here:`, report.conflicts.map(conflict =>
+      `${sections[conflict.section]} ${conflict.item}, ${conflict.field}: kept ${JSON.stringify(conflict.local)}, ` +
+      `backup had ${JSON.stringify(conflict.imported)}`));
+    addList(`${report.errors.length} entries were skipped:`, report.errors.map(error =>
+      `${sections[error.section]} ${error.item}: ${error.message}`));
+  }
+
+  updateField(key) {
+    const input = document.getElementById(`setting-${key}`);
+    if (!input || input === document.activeElement) return;
+
+    if (input.type === 'checkbox') {
+      input.checked = this.settings.get(key);
+    } else {
+      input.value = this.settings.get(key);
+    }
+    this.updateTitlePreview();
+  }
+
+  updateTitlePreview() {
+    const preview = document.getElementById('title-preview');
+    if (!preview) return;
+
+    const template = document.getElementById('setting-titleTemplate').value.trim();
+    const maxLength = Number(document.getElementById('setting-titleMaxLength').value) || this.settings.get('titleMaxLength');
+    const titleBuilder = new ArxivTitleBuilder(template, maxLength);
+    preview.textContent = titleBuilder.build(this.previewPaper) || '-';
+  }
+
+  showSaveStatus(text) {
+    const status = document.getElementById('save-status');
+    status.textContent = text;
+    setTimeout(() => {
+      status.textContent = '';
+    }, 1500);
+  }
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsManager();
+});
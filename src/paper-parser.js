@@ -0,0 +1,101 @@
+// ArXiv Tab Enhancer Abstract Page Parser
+// Reads a paper record (see paper-schema.js) from an arXiv abstract page: either the live
+// page the content script runs on, or abs-page HTML fetched for a PDF tab.
+
+class ArxivPaperParser {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+  }
+
+  // Fetched HTML goes through the same DOM queries as the live page
+  parseHtml(html) {
+    return this.parseDocument(new DOMParser().parseFromString(html, 'text/html'));
+  }
+
+  // The page's fields, without id, url or firstAuthor, which depend on the tab
+  parseDocument(doc) {
+    const authors = this.getText(doc, 'div.authors', /^Authors:\s*/);
+    const category = this.getText(doc, 'span.primary-subject');
+    const versions = this.getVersions(doc);
+
+    return {
+      schemaVersion: PAPER_SCHEMA_VERSION,
+      title: this.getText(doc, 'h1.title', /^Title:\s*/) || this.getText(doc, 'h1', /^Title:\s*/),
+      authors: authors,
+      authorsList: this.parseAuthors(authors),
+      category: category,
+      categories: this.getCategories(doc, category),
+      abstract: this.getText(doc, 'blockquote.abstract', /^Abstract:\s*/),
+      submittedAt: versions.length > 0 ? versions[0].date : null,
+      updatedAt: versions.length > 0 ? versions[versions.length - 1].date : null,
+      versions: versions,
+      latestVersion: versions.length > 0 ? Math.max(...versions.map(version => version.version)) : null,
+      comments: this.getText(doc, 'td.tablecell.comments'),
+      journalRef: this.getText(doc, 'td.tablecell.jref'),
+      doi: this.getDoi(doc),
+      license: this.getLicense(doc)
+    };
+  }
+
+  getText(doc, selector, prefix = null) {
+    const element = doc.querySelector(selector);
+    if (!element) return null;
+
+    const text = element.textContent.replace(/\s+/g, ' ').trim();
+    return (prefix ? text.replace(prefix, '') : text) || null;
+  }
+
+  parseAuthors(authorsString) {
+    if (!authorsString) return [];
+
+    return authorsString
+      .split(',')
+      .map(author => author
+        .trim()
+        .replace(/^(and|&)\s+/i, '') // Remove "and" or "&" at start
+        .replace(/\s+/g, ' ')
+        .trim())
+      .filter(author => author.length > 0);
+  }
+
+  // The subjects row lists the primary subject first, then cross-lists:
+  // "Computation and Language (cs.CL); Machine Learning (cs.LG)"
+  getCategories(doc, primarySubject) {
+    return this.idParser.getSubjectCodes(this.getText(doc, 'td.tablecell.subjects') || primarySubject);
+  }
+
+  // The submission history has one line per version:
+  // "[v1] Mon, 12 Jun 2017 17:57:34 UTC (1,102 KB)". Older versions are links, the
+  // current one is bold, so the text is read without markup.
+  getVersions(doc) {
+    const history = doc.querySelector('.submission-history');
+    if (!history) return [];
+
+    const text = history.textContent.replace(/\s+/g, ' ');
+    const pattern = /\[v(\d+)\]\s*([A-Za-z]{3}, \d{1,2} [A-Za-z]{3} \d{4} \d{2}:\d{2}:\d{2} [A-Z]+)(?:\s*\(([^)]*)\))?/g;
+    const versions = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const date = new Date(match[2]);
+      versions.push({
+        version: parseInt(match[1], 10),
+        date: isNaN(date) ? null : date.toISOString(),
+        size: match[3] || null
+      });
+    }
+    return versions.sort((a, b) => a.version - b.version);
+  }
+
+  // The DOI row links the published version; the citation meta tag is a fallback
+  getDoi(doc) {
+    const text = this.getText(doc, 'td.tablecell.doi') ||
+      (doc.querySelector('meta[name="citation_doi"]') || {}).content || '';
+    const match = text.match(/10\.\d{4,9}\/\S+/);
+    return match ? match[0] : null;
+  }
+
+  getLicense(doc) {
+    const link = doc.querySelector('.abs-license a[href]');
+    return link ? link.getAttribute('href') : null;
+  }
+}
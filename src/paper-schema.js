@@ -0,0 +1,60 @@
+// ArXiv Tab Enhancer Paper Schema
+// The shape of the paper records kept in the paper store, versioned so records cached by older
+// versions can be brought up to date. Bump PAPER_SCHEMA_VERSION and add a step to PAPER_SCHEMA_MIGRATIONS
+// whenever fields are added or change meaning.
+
+const PAPER_SCHEMA_VERSION = 2;
+
+// Every paper field and its value while unknown. Cache writes add bookkeeping on top:
+// timestamp, lastOpened and versionSeen (see versions.js).
+const PAPER_RECORD_DEFAULTS = {
+  id: null,
+  title: null,
+  authors: null, // As printed, e.g. "Ashish Vaswani, Noam Shazeer"
+  authorsList: [],
+  firstAuthor: null, // The author the paper is grouped and titled by
+  category: null, // Primary subject as printed, e.g. "Computation and Language (cs.CL)"
+  categories: [], // Subject codes, primary first, then cross-lists: ['cs.CL', 'cs.LG']
+  abstract: null,
+  submittedAt: null, // ISO date of v1
+  updatedAt: null, // ISO date of the newest version
+  versions: [], // { version, date, size } per version, oldest first
+  latestVersion: null,
+  comments: null, // Authors' comments, e.g. "15 pages, 5 figures; accepted at NeurIPS 2017"
+  journalRef: null,
+  doi: null, // Bare DOI of the published version, e.g. "10.1145/3065386"
+  license: null, // License URL
+  url: null
+};
+
+// Steps from each schema version to the next, called with the record and the schema
+const PAPER_SCHEMA_MIGRATIONS = {
+  // Version 1 records had no schemaVersion and only title, authors and primary subject,
+  // plus abstract and latestVersion when seen recently
+  1: (record, schema) => ({
+    ...PAPER_RECORD_DEFAULTS,
+    ...record,
+    categories: record.category ? [schema.idParser.getSubjectCode(record.category)] : []
+  })
+};
+
+class ArxivPaperSchema {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+  }
+
+  // Brings a record from any older schema version up to the current one
+  migrate(record) {
+    if (!record) return record;
+
+    let migrated = record;
+    for (let version = record.schemaVersion || 1; version < PAPER_SCHEMA_VERSION; version++) {
+      migrated = { ...PAPER_SCHEMA_MIGRATIONS[version](migrated, this), schemaVersion: version + 1 };
+    }
+    return migrated;
+  }
+
+  needsMigration(record) {
+    return !!record && (record.schemaVersion || 1) < PAPER_SCHEMA_VERSION;
+  }
+}
@@ -0,0 +1,381 @@
+// ArXiv Tab Enhancer Paper Store
+// Paper records (see paper-schema.js) in IndexedDB, one per canonical arXiv ID, indexed by
+// author, category, last-opened time and saved flag. The background and popup use it
+// directly; content scripts ask the background, since they run in arxiv.org's origin.
+// Eviction goes by size: least recently accessed papers go first, saved papers never do.
+// The store's total size is kept up to date in a meta store, so checking it reads one value
+// and eviction walks the lastAccessed index only as far as it has to.
+
+const PAPER_DB_NAME = 'arxivTabEnhancer';
+const PAPER_DB_VERSION = 2;
+const PAPER_STORE_NAME = 'papers';
+const PAPER_META_STORE_NAME = 'meta';
+const PAPER_META_SIZE_KEY = 'totalSize';
+
+// In the background, reads only note the access; the access times are written together this
+// much later
+const PAPER_STORE_ACCESS_FLUSH_DELAY_MS = 2000;
+
+// Set once the arxiv_* keys older versions kept in chrome.storage.local have been moved over
+const PAPER_STORE_MIGRATED_KEY = 'paperStoreMigrated';
+
+// Eviction leaves this much of the size limit free, so it doesn't run again on the next write
+const PAPER_STORE_EVICTION_HEADROOM = 0.25;
+
+class ArxivPaperStore {
+  // Pass background: true from the service worker. It outlives the popup and options page, so
+  // only it holds access times back, and it keeps papers in memory that other pages' writes
+  // must invalidate.
+  constructor({ background = false } = {}) {
+    this.background = background;
+    this.idParser = new ArxivIdParser();
+    this.authorMatcher = new ArxivAuthorMatcher();
+    this.paperSchema = new ArxivPaperSchema();
+    this.dbPromise = null;
+    this.accessTimes = new Map(); // Paper ID -> access time not written yet
+    this.accessTimer = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(PAPER_DB_NAME, PAPER_DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            const papers = db.createObjectStore(PAPER_STORE_NAME, { keyPath: 'id' });
+            papers.createIndex('authors', 'authorKeys', { multiEntry: true });
+            papers.createIndex('categories', 'categories', { multiEntry: true });
+            papers.createIndex('lastOpened', 'lastOpened');
+            papers.createIndex('lastAccessed', 'lastAccessed');
+            papers.createIndex('saved', 'saved');
+          }
+          if (event.oldVersion < 2) {
+            // Total up what version 1 stored, once
+            const meta = db.createObjectStore(PAPER_META_STORE_NAME);
+            let total = 0;
+            this.iterate(request.transaction.objectStore(PAPER_STORE_NAME).openCursor(), cursor => {
+              total += cursor.value.size || 0;
+            }).then(() => meta.put(total, PAPER_META_SIZE_KEY));
+          }
+        };
+        request.onsuccess = () => {
+          // Make way when a newer version of the extension opens the database
+          request.result.onversionchange = () => request.result.close();
+          resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+      });
+      // Let the next call try again instead of failing forever
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // The papers and meta object stores in a new transaction, and a promise settling when it
+  // commits
+  async transaction(mode) {
+    const db = await this.open();
+    const tx = db.transaction([PAPER_STORE_NAME, PAPER_META_STORE_NAME], mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return { papers: tx.objectStore(PAPER_STORE_NAME), meta: tx.objectStore(PAPER_META_STORE_NAME), done };
+  }
+
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Calls back with each cursor position until the callback returns false or the cursor ends
+  iterate(cursorRequest, callback) {
+    return new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor && callback(cursor) !== false) {
+          cursor.continue();
+        } else {
+          resolve();
+        }
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  // Adds delta bytes to the stored total, inside the transaction that changed the papers
+  async addToSize(meta, delta) {
+    if (delta === 0) return;
+    const total = (await this.request(meta.get(PAPER_META_SIZE_KEY))) || 0;
+    meta.put(Math.max(total + delta, 0), PAPER_META_SIZE_KEY);
+  }
+
+  // Index fields and bookkeeping: author keys for the authors index, saved as 0 or 1 since
+  // IndexedDB can't index booleans, and the record's approximate size in bytes. Writing a
+  // paper counts as accessing it.
+  prepare(record, existing, accessedAt = Date.now()) {
+    const prepared = {
+      ...record,
+      authorKeys: [...new Set((record.authorsList || []).map(author => this.authorMatcher.getNameKey(author)))]
+        .filter(key => key),
+      categories: record.categories || [],
+      saved: record.saved !== undefined ? (record.saved ? 1 : 0) : (existing && existing.saved) || 0,
+      lastAccessed: accessedAt
+    };
+    delete prepared.size;
+    prepared.size = JSON.stringify(prepared).length;
+    return prepared;
+  }
+
+  // One paper by ID or URL, or null. Reading a paper counts as accessing it for eviction.
+  async get(paperIdOrUrl) {
+    const paperId = this.idParser.getPaperId(paperIdOrUrl);
+    if (!paperId) return null;
+
+    const records = await this.getMany([paperId]);
+    return records[paperId] || null;
+  }
+
+  // Papers by ID, as an object keyed by the IDs found
+  async getMany(paperIds) {
+    const { papers } = await this.transaction('readonly');
+    const found = await Promise.all(paperIds.map(paperId => this.request(papers.get(paperId))));
+    const records = found.filter(record => record);
+    this.noteAccess(records.map(record => record.id));
+    return Object.fromEntries(records.map(record => [record.id, record]));
+  }
+
+  // The background writes access times in one transaction a little later, so a burst of
+  // lookups (every tab updating its title) doesn't queue a write each. Other pages write them
+  // straight away, since they can close before a timer fires.
+  noteAccess(paperIds) {
+    if (paperIds.length === 0) return;
+    const now = Date.now();
+    paperIds.forEach(paperId => this.accessTimes.set(paperId, now));
+    if (!this.background) {
+      this.flushAccessTimes().catch(error => console.error('Failed to write paper access times:', error));
+    } else if (!this.accessTimer) {
+      this.accessTimer = setTimeout(() => {
+        this.flushAccessTimes().catch(error => console.error('Failed to write paper access times:', error));
+      }, PAPER_STORE_ACCESS_FLUSH_DELAY_MS);
+    }
+  }
+
+  async flushAccessTimes() {
+    clearTimeout(this.accessTimer);
+    this.accessTimer = null;
+    if (this.accessTimes.size === 0) return;
+
+    const accessTimes = this.accessTimes;
+    this.accessTimes = new Map();
+    const { papers, done } = await this.transaction('readwrite');
+    await Promise.all(Array.from(accessTimes, async ([paperId, accessedAt]) => {
+      const record = await this.request(papers.get(paperId));
+      if (record && (record.lastAccessed || 0) < accessedAt) {
+        papers.put({ ...record, lastAccessed: accessedAt });
+      }
+    }));
+    await done;
+  }
+
+  // Every paper, without touching access times
+  async getAll() {
+    const { papers } = await this.transaction('readonly');
+    return this.request(papers.getAll());
+  }
+
+  async getByAuthor(authorName) {
+    const { papers } = await this.transaction('readonly');
+    return this.request(papers.index('authors').getAll(this.authorMatcher.getNameKey(authorName)));
+  }
+
+  // Papers listed in a subject, e.g. "cs.LG", as primary subject or cross-list
+  async getByCategory(subjectCode) {
+    const { papers } = await this.transaction('readonly');
+    return this.request(papers.index('categories').getAll(subjectCode));
+  }
+
+  // The most recently opened papers, newest first. Pass 'lastAccessed' to include papers
+  // that were looked up or imported but never opened.
+  async getRecent(limit = 20, indexName = 'lastOpened') {
+    const { papers } = await this.transaction('readonly');
+    const recent = [];
+    await this.iterate(papers.index(indexName).openCursor(null, 'prev'), cursor => {
+      if (recent.length >= limit) return false;
+      recent.push(cursor.value);
+    });
+    return recent;
+  }
+
+  async getSaved() {
+    const { papers } = await this.transaction('readonly');
+    return this.request(papers.index('saved').getAll(1));
+  }
+
+  async count() {
+    const { papers } = await this.transaction('readonly');
+    return this.request(papers.count());
+  }
+
+  // Paper count and approximate total size in bytes
+  async getStats() {
+    const { papers, meta } = await this.transaction('readonly');
+    const [count, size] = await Promise.all([
+      this.request(papers.count()),
+      this.request(meta.get(PAPER_META_SIZE_KEY))
+    ]);
+    return { count, size: size || 0 };
+  }
+
+  // Writes whole records under their canonical ID, keeping the saved flag unless given.
+  // Callers merge with what's stored first (see ArxivVersionTracker.mergeRecord). Pass
+  // keepAccessTimes to write records without counting it as an access, e.g. when migrating.
+  async putMany(records, { keepAccessTimes = false } = {}) {
+    const { papers, meta, done } = await this.transaction('readwrite');
+    const deltas = await Promise.all(records.map(async record => {
+      const existing = await this.request(papers.get(record.id));
+      const accessedAt = keepAccessTimes && record.lastAccessed ? record.lastAccessed : Date.now();
+      const prepared = this.prepare(record, existing, accessedAt);
+      papers.put(prepared);
+      return prepared.size - ((existing && existing.size) || 0);
+    }));
+    await this.addToSize(meta, deltas.reduce((sum, delta) => sum + delta, 0));
+    await done;
+    this.notifyChanged(records.map(record => record.id));
+  }
+
+  async put(record) {
+    await this.putMany([record]);
+  }
+
+  async remove(paperIds) {
+    const { papers, meta, done } = await this.transaction('readwrite');
+    const sizes = await Promise.all([].concat(paperIds).map(async paperId => {
+      const existing = await this.request(papers.get(paperId));
+      papers.delete(paperId);
+      return (existing && existing.size) || 0;
+    }));
+    await this.addToSize(meta, -sizes.reduce((sum, size) => sum + size, 0));
+    await done;
+    this.notifyChanged([].concat(paperIds));
+  }
+
+  // Removes every paper, or every paper not saved in the library
+  async clear({ keepSaved = false } = {}) {
+    const { papers, meta, done } = await this.transaction('readwrite');
+    if (keepSaved) {
+      let removed = 0;
+      await this.iterate(papers.index('saved').openCursor(0), cursor => {
+        removed += cursor.value.size || 0;
+        cursor.delete();
+      });
+      await this.addToSize(meta, -removed);
+    } else {
+      papers.clear();
+      meta.put(0, PAPER_META_SIZE_KEY);
+    }
+    await done;
+    this.notifyChanged(null);
+  }
+
+  // Marks exactly the given papers as saved, so eviction leaves them alone
+  async setSaved(savedIds) {
+    const saved = new Set(savedIds);
+    const { papers, done } = await this.transaction('readwrite');
+    const flagged = new Set(await this.request(papers.index('saved').getAllKeys(1)));
+    const changed = [...new Set([...saved, ...flagged])].filter(paperId => saved.has(paperId) !== flagged.has(paperId));
+
+    await Promise.all(changed.map(async paperId => {
+      const record = await this.request(papers.get(paperId));
+      if (record) {
+        papers.put({ ...record, saved: saved.has(paperId) ? 1 : 0 });
+      }
+    }));
+    await done;
+    this.notifyChanged(changed);
+  }
+
+  // Tells the background which papers another page wrote, or null for all of them, so its
+  // memory cache doesn't keep serving the old records
+  notifyChanged(paperIds) {
+    if (this.background || (paperIds && paperIds.length === 0)) return;
+    chrome.runtime.sendMessage({ action: 'paperStoreChanged', paperIds }).catch(error => {
+      console.warn('Failed to tell the background about paper store changes:', error);
+    });
+  }
+
+  // Once the store is over maxBytes, removes the least recently accessed unsaved papers until
+  // it's comfortably under. Resolves with the number of papers removed.
+  async evict(maxBytes) {
+    const { size } = await this.getStats();
+    if (size <= maxBytes) return 0;
+
+    // Recent reads shouldn't make their papers look unused
+    await this.flushAccessTimes();
+
+    const { papers, meta, done } = await this.transaction('readwrite');
+    const target = maxBytes * (1 - PAPER_STORE_EVICTION_HEADROOM);
+    let total = (await this.request(meta.get(PAPER_META_SIZE_KEY))) || 0;
+    let removed = 0;
+    await this.iterate(papers.index('lastAccessed').openCursor(), cursor => {
+      if (total <= target) return false;
+      if (cursor.value.saved) return;
+      total -= cursor.value.size || 0;
+      cursor.delete();
+      removed++;
+    });
+    meta.put(Math.max(total, 0), PAPER_META_SIZE_KEY);
+    await done;
+    return removed;
+  }
+
+  // Moves the arxiv_* records older versions kept in chrome.storage.local into the store.
+  // Those were keyed by whatever followed /abs/ or /pdf/, so one paper could be stored as
+  // 2301.00001, 2301.00001v2 and 2301.00001.pdf: the most recent of them wins. Records are
+  // brought up to the current schema on the way. Resolves with the number of papers moved.
+  async migrateFromStorage(savedIds = []) {
+    const flag = await chrome.storage.local.get(PAPER_STORE_MIGRATED_KEY);
+    if (flag[PAPER_STORE_MIGRATED_KEY]) return 0;
+
+    const allData = await chrome.storage.local.get(null);
+    const keys = Object.keys(allData).filter(key => key.startsWith('arxiv_'));
+    const merged = new Map();
+
+    for (const key of keys) {
+      const data = allData[key];
+      const paperId = this.idParser.getPaperId(key.substring('arxiv_'.length)) ||
+        this.idParser.getPaperId(data && data.url);
+      if (!paperId) continue; // Neither the key nor the stored URL names a paper
+
+      const existing = merged.get(paperId);
+      if (!existing || (data.timestamp || 0) > (existing.timestamp || 0)) {
+        merged.set(paperId, this.paperSchema.migrate({ ...data, id: paperId }));
+      }
+    }
+
+    const saved = new Set(savedIds);
+    const records = [...merged.values()].map(record => ({
+      ...record,
+      saved: saved.has(record.id),
+      lastAccessed: record.lastOpened || record.timestamp
+    }));
+    await this.putMany(records, { keepAccessTimes: true });
+    await chrome.storage.local.remove(keys);
+    await chrome.storage.local.set({ [PAPER_STORE_MIGRATED_KEY]: true });
+    return records.length;
+  }
+
+  // Brings records cached under an older schema version up to the current one. Resolves with
+  // the number of papers upgraded.
+  async migrateSchema() {
+    const outdated = (await this.getAll()).filter(record => this.paperSchema.needsMigration(record));
+    await this.putMany(outdated.map(record => this.paperSchema.migrate(record)), { keepAccessTimes: true });
+    return outdated.length;
+  }
+}
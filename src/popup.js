@@ -2,17 +2,56 @@
 
 class PopupManager {
   constructor() {
-    this.authors = new Map(); // Store author data
-    this.filteredAuthors = [];
-    this.likedAuthors = []; // Store liked authors list
+    this.searchIndex = []; // Open tabs and cached papers, tokenized for search
+    this.searchResults = []; // Results currently shown, open tabs first
+    this.likedAuthors = new ArxivLikedAuthors();
+    this.expandedProfileId = null; // Liked author whose options are open
+    this.draggedProfileId = null;
+    this.previewPaper = null; // Paper used for the title template preview
+    this.currentGroupTabId = null; // Active tab, when it's in one of our groups
+    this.settings = new ArxivSettings();
+    this.idParser = new ArxivIdParser();
+    this.paperSearch = new ArxivPaperSearch();
+    this.library = new ArxivLibrary();
+    this.paperStore = new ArxivPaperStore();
+    this.citationFormatter = new ArxivCitationFormatter();
+    this.sessions = new ArxivSessions();
     this.init();
   }
 
   async init() {
+    await this.settings.load();
     await this.loadStats();
-    await this.loadAuthors();
+    await this.loadSearchIndex();
     await this.loadLikedAuthors();
+    await this.loadTitleTemplate();
+    await this.loadGrouping();
+    await this.loadLibrary();
+    await this.loadSessions();
+    await this.loadDuplicates();
+    await this.loadVersionNotices();
     this.setupEventListeners();
+    this.library.onChange(() => {
+      this.updateLibraryDisplay();
+      this.updateSavePaperControl();
+    });
+    this.sessions.onChange(() => {
+      this.updateSessionsDisplay();
+    });
+    this.likedAuthors.onChange(() => {
+      this.updateLikedAuthorsDisplay();
+    });
+    this.settings.onChange((changedKeys) => {
+      if (changedKeys.includes('titleTemplate') || changedKeys.includes('titleMaxLength')) {
+        this.loadTitleTemplate();
+      }
+      if (changedKeys.includes('groupingStrategy')) {
+        document.getElementById('grouping-strategy').value = this.settings.get('groupingStrategy');
+      }
+      if (changedKeys.includes('duplicateKeep')) {
+        document.getElementById('duplicate-keep').value = this.settings.get('duplicateKeep');
+      }
+    });
     this.checkCurrentTab();
   }
 
@@ -21,7 +60,8 @@ class PopupManager {
       // Get stats from background script
       const response = await this.sendMessageToBackground('getStats');
       if (response) {
-        document.getElementById('cached-count').textContent = response.cachedPapers || 0;
+        const megabytes = ((response.cacheSize || 0) / (1024 * 1024)).toFixed(1);
+        document.getElementById('cached-count').textContent = `${response.cachedPapers || 0} (${megabytes} MB)`;
         document.getElementById('memory-count').textContent = response.memoryCache || 0;
         document.getElementById('groups-count').textContent = response.authorGroups || 0;
       }
@@ -44,6 +84,11 @@ class PopupManager {
       this.groupAllArxivTabs();
     });
 
+    // Options page button
+    document.getElementById('options-btn').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
     // Clear cache button
     document.getElementById('clear-cache-btn').addEventListener('click', () => {
       this.clearCache();
@@ -59,21 +104,246 @@ class PopupManager {
         this.addLikedAuthor();
       }
     });
+    
+    const likedAuthorsList = document.getElementById('liked-authors-list');
+    likedAuthorsList.addEventListener('click', (e) => {
+      const item = e.target.closest('.liked-author-item');
+      if (!item) return;
+      
+      if (e.target.classList.contains('remove-author')) {
+        this.removeLikedAuthor(item.dataset.profileId);
+      } else if (e.target.closest('.liked-author-header')) {
+        this.expandedProfileId = this.expandedProfileId === item.dataset.profileId ? null : item.dataset.profileId;
+        this.updateLikedAuthorsDisplay();
+      }
+    });
+    
+    likedAuthorsList.addEventListener('change', (e) => {
+      const item = e.target.closest('.liked-author-item');
+      const field = e.target.dataset.field;
+      if (!item || !field) return;
+      
+      // Aliases go one per line, since names like "LeCun, Y." contain commas
+      const value = field === 'aliases' ? e.target.value.split('\n') : e.target.value;
+      this.updateLikedAuthor(item.dataset.profileId, { [field]: value });
+    });
+    
+    // Drag to reorder: dropping on the top half of an author puts the dragged one above it
+    likedAuthorsList.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('.liked-author-item');
+      if (!item) return;
+      this.draggedProfileId = item.dataset.profileId;
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    likedAuthorsList.addEventListener('dragover', (e) => {
+      const item = e.target.closest('.liked-author-item');
+      if (!item || !this.draggedProfileId) return;
+      e.preventDefault();
+      
+      const rect = item.getBoundingClientRect();
+      const above = e.clientY < rect.top + rect.height / 2;
+      likedAuthorsList.querySelectorAll('.liked-author-item').forEach(other => {
+        other.classList.toggle('drop-above', other === item && above);
+        other.classList.toggle('drop-below', other === item && !above);
+      });
+    });
+    
+    likedAuthorsList.addEventListener('drop', (e) => {
+      const item = e.target.closest('.liked-author-item');
+      if (!item || !this.draggedProfileId) return;
+      e.preventDefault();
+      this.moveLikedAuthor(this.draggedProfileId, item.dataset.profileId, item.classList.contains('drop-above'));
+    });
+    
+    likedAuthorsList.addEventListener('dragend', () => {
+      this.draggedProfileId = null;
+      likedAuthorsList.querySelectorAll('.liked-author-item').forEach(item => {
+        item.classList.remove('drop-above', 'drop-below');
+      });
+    });
+
+    // Citation export
+    document.getElementById('cite-format').innerHTML = Object.entries(CITATION_FORMATS)
+      .map(([format, spec]) => `<option value="${format}">${spec.label}</option>`)
+      .join('');
+    
+    document.getElementById('cite-copy-btn').addEventListener('click', () => {
+      this.exportCitations('copy');
+    });
+    
+    document.getElementById('cite-download-btn').addEventListener('click', () => {
+      this.exportCitations('download');
+    });
+
+    // View switching
+    document.querySelectorAll('.view-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.showView(tab.dataset.view);
+      });
+    });
+
+    // Library functionality
+    document.getElementById('save-paper-btn').addEventListener('click', () => {
+      this.toggleCurrentPaperSaved();
+    });
+    
+    document.getElementById('save-paper-status').addEventListener('change', (e) => {
+      this.updateLibraryEntry(this.currentPaperId, { status: e.target.value });
+    });
+    
+    document.getElementById('library-filter').addEventListener('change', () => {
+      this.updateLibraryDisplay();
+    });
+    
+    const libraryList = document.getElementById('library-list');
+    libraryList.addEventListener('change', (e) => {
+      const item = e.target.closest('.library-item');
+      const field = e.target.dataset.field;
+      if (item && field) {
+        this.updateLibraryEntry(item.dataset.paperId, { [field]: e.target.value });
+      }
+    });
+    
+    libraryList.addEventListener('click', (e) => {
+      const item = e.target.closest('.library-item');
+      if (!item) return;
+      
+      if (e.target.classList.contains('remove-author')) {
+        this.removeFromLibrary(item.dataset.paperId);
+      } else if (e.target.classList.contains('library-title')) {
+        chrome.tabs.create({ url: this.idParser.getUrl(item.dataset.paperId) });
+      }
+    });
+
+    // New version functionality
+    document.getElementById('check-versions-btn').addEventListener('click', () => {
+      this.checkForNewVersions();
+    });
+    
+    document.getElementById('version-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.version-item');
+      if (!item) return;
+      
+      if (e.target.classList.contains('remove-author')) {
+        this.dismissVersionNotice(item.dataset.paperId);
+      } else if (e.target.tagName === 'A') {
+        e.preventDefault();
+        chrome.tabs.create({ url: e.target.href });
+      }
+    });
+
+    // Duplicate tab functionality
+    document.getElementById('duplicate-keep').addEventListener('change', (e) => {
+      this.setDuplicateKeep(e.target.value);
+    });
+    
+    document.getElementById('close-duplicates-btn').addEventListener('click', () => {
+      this.closeDuplicates();
+    });
+    
+    document.getElementById('duplicate-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.duplicate-item');
+      if (item && e.target.classList.contains('duplicate-close')) {
+        this.closeDuplicates(item.dataset.paperId);
+      }
+    });
+
+    // Research sessions functionality
+    document.getElementById('save-session-btn').addEventListener('click', () => {
+      this.saveSession();
+    });
+    
+    document.getElementById('merge-sessions-btn').addEventListener('click', () => {
+      this.mergeSelectedSessions();
+    });
+    
+    const sessionList = document.getElementById('session-list');
+    sessionList.addEventListener('change', (e) => {
+      const item = e.target.closest('.session-item');
+      if (item && e.target.dataset.field === 'name') {
+        this.renameSession(item.dataset.sessionId, e.target.value);
+      }
+    });
+    
+    sessionList.addEventListener('click', (e) => {
+      const item = e.target.closest('.session-item');
+      if (!item) return;
+      
+      if (e.target.classList.contains('remove-author')) {
+        this.deleteSession(item.dataset.sessionId);
+      } else if (e.target.classList.contains('session-restore')) {
+        this.restoreSession(item.dataset.sessionId);
+      }
+    });
 
-    // Author search input
-    const searchInput = document.getElementById('author-search');
+    // Grouping strategy functionality
+    document.getElementById('grouping-strategy').addEventListener('change', (e) => {
+      this.setGroupingStrategy(e.target.value);
+    });
+    
+    document.getElementById('paper-tag-btn').addEventListener('click', () => {
+      this.tagCurrentPaper();
+    });
+    
+    document.getElementById('group-color-pin').addEventListener('change', (e) => {
+      this.pinGroupColor(e.target.value);
+    });
+    
+    document.getElementById('paper-tag-input').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.tagCurrentPaper();
+      }
+    });
+
+    // Title template functionality
+    document.getElementById('title-template-preset').addEventListener('change', (e) => {
+      if (e.target.value) {
+        document.getElementById('title-template-input').value = e.target.value;
+        this.saveTitleTemplate(e.target.value);
+      }
+    });
+    
+    const templateInput = document.getElementById('title-template-input');
+    templateInput.addEventListener('input', () => {
+      this.updateTitlePreview();
+    });
+    
+    templateInput.addEventListener('change', () => {
+      this.saveTitleTemplate(templateInput.value.trim());
+    });
+
+    // Paper search input
+    const searchInput = document.getElementById('paper-search');
+    const searchResults = document.getElementById('search-results');
     searchInput.addEventListener('input', (e) => {
-      this.handleAuthorSearch(e.target.value);
+      this.handleSearch(e.target.value);
     });
     
     searchInput.addEventListener('focus', () => {
-      this.showAuthorList();
+      this.handleSearch(searchInput.value);
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && this.searchResults.length > 0) {
+        this.openSearchResult(this.searchResults[0]);
+      } else if (e.key === 'Escape' && searchInput.value) {
+        e.preventDefault(); // Clear the search rather than close the popup
+        searchInput.value = '';
+        this.handleSearch('');
+      }
+    });
+    
+    searchResults.addEventListener('click', (e) => {
+      const result = e.target.closest('.search-result');
+      if (result) {
+        this.openSearchResult(this.searchResults[parseInt(result.dataset.index, 10)]);
+      }
     });
     
     document.addEventListener('click', (e) => {
-      const authorList = document.getElementById('author-list');
-      if (!searchInput.contains(e.target) && !authorList.contains(e.target)) {
-        this.hideAuthorList();
+      if (!searchInput.contains(e.target) && !searchResults.contains(e.target)) {
+        searchResults.style.display = 'none';
       }
     });
   }
@@ -83,7 +353,7 @@ class PopupManager {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       const statusElement = document.getElementById('status');
       
-      if (tab && tab.url && this.isArxivUrl(tab.url)) {
+      if (tab && tab.url && this.idParser.isPaperUrl(tab.url)) {
         statusElement.className = 'status active';
         statusElement.textContent = '✓ ArXiv page detected';
       } else {
@@ -99,7 +369,7 @@ class PopupManager {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       
-      if (tab && tab.url && this.isArxivUrl(tab.url)) {
+      if (tab && tab.url && this.idParser.isPaperUrl(tab.url)) {
         // Reload the tab to trigger content script
         await chrome.tabs.reload(tab.id);
         
@@ -124,16 +394,11 @@ class PopupManager {
 
   async clearCache() {
     try {
-      // Clear storage cache
-      const allData = await chrome.storage.local.get(null);
-      const arxivKeys = Object.keys(allData).filter(key => key.startsWith('arxiv_'));
+      // Clear the paper store, keeping the papers saved in the library
+      const before = await this.paperStore.count();
+      await this.paperStore.clear({ keepSaved: true });
       
-      if (arxivKeys.length > 0) {
-        await chrome.storage.local.remove(arxivKeys);
-        
-        // Notify background script to clear memory cache
-        this.sendMessageToBackground('clearMemoryCache');
-        
+      if (await this.paperStore.count() < before) {
         // Update stats
         await this.loadStats();
         
@@ -156,164 +421,135 @@ class PopupManager {
     }
   }
 
-  async loadAuthors() {
+  // Open tabs from every window and every cached paper, indexed once per popup
+  async loadSearchIndex() {
     try {
-      const allData = await chrome.storage.local.get(null);
-      const arxivKeys = Object.keys(allData).filter(key => key.startsWith('arxiv_'));
-      
-      console.log(`Found ${arxivKeys.length} cached ArXiv papers`);
+      const [tabs, papers] = await Promise.all([
+        chrome.tabs.query({ url: ARXIV_TAB_URL_PATTERNS }),
+        this.paperStore.getRecent(SEARCH_INDEX_MAX_PAPERS, 'lastAccessed')
+      ]);
+      const papersById = new Map(papers.map(paper => [paper.id, paper]));
       
-      // Count papers per author
-      this.authors.clear();
+      // Open tabs' papers are found even when they fall outside the most recent ones
+      const missingIds = tabs.map(tab => this.idParser.getPaperId(tab.url)).filter(paperId => paperId && !papersById.has(paperId));
+      Object.values(await this.paperStore.getMany([...new Set(missingIds)])).forEach(paper => papersById.set(paper.id, paper));
+      const [currentTab] = await chrome.tabs.query({ active: true, currentWindow: true });
       
-      arxivKeys.forEach(key => {
-        const paperData = allData[key];
-        if (paperData.firstAuthor) {
-          const author = paperData.firstAuthor;
-          if (this.authors.has(author)) {
-            this.authors.set(author, this.authors.get(author) + 1);
-          } else {
-            this.authors.set(author, 1);
-          }
-        }
-      });
+      const openIds = new Set();
+      const openItems = [];
+      for (const tab of tabs) {
+        const paperId = this.idParser.getPaperId(tab.url);
+        if (!paperId) continue;
+        
+        openIds.add(paperId);
+        const paper = papersById.get(paperId) || { id: paperId, title: tab.title };
+        openItems.push({ paper, tab, otherWindow: !!currentTab && tab.windowId !== currentTab.windowId });
+      }
       
-      console.log(`Found ${this.authors.size} unique authors`);
+      const seenItems = papers
+        .filter(paper => !openIds.has(paper.id))
+        .map(paper => ({ paper, tab: null }));
       
-      // Sort authors by paper count (descending)
-      this.filteredAuthors = Array.from(this.authors.entries())
-        .sort((a, b) => b[1] - a[1]);
-        
+      this.searchIndex = this.paperSearch.buildIndex([...openItems, ...seenItems]);
+      console.log(`Indexed ${openItems.length} open tabs and ${seenItems.length} cached papers for search`);
     } catch (error) {
-      console.error('Failed to load authors:', error);
+      console.error('Failed to build search index:', error);
+      this.searchIndex = [];
     }
   }
   
-  handleAuthorSearch(query) {
-    const lowerQuery = query.toLowerCase();
-    
+  handleSearch(query) {
+    const container = document.getElementById('search-results');
     if (query.trim() === '') {
-      this.filteredAuthors = Array.from(this.authors.entries())
-        .sort((a, b) => b[1] - a[1]);
-    } else {
-      this.filteredAuthors = Array.from(this.authors.entries())
-        .filter(([author, count]) => 
-          author.toLowerCase().includes(lowerQuery)
-        )
-        .sort((a, b) => b[1] - a[1]);
-    }
-    
-    this.updateAuthorList();
-  }
-  
-  showAuthorList() {
-    document.getElementById('author-list').style.display = 'block';
-    this.updateAuthorList();
-  }
-  
-  hideAuthorList() {
-    document.getElementById('author-list').style.display = 'none';
-  }
-  
-  updateAuthorList() {
-    const listElement = document.getElementById('author-list');
-    
-    if (this.filteredAuthors.length === 0) {
-      listElement.innerHTML = '<div class="no-results">No authors found</div>';
+      container.style.display = 'none';
+      this.searchResults = [];
       return;
     }
     
-    const html = this.filteredAuthors
-      .slice(0, 10) // Show max 10 results
-      .map(([author, count]) => `
-        <div class="author-item" data-author="${author}">
-          <span class="author-name">${author}</span>
-          <span class="paper-count">${count}</span>
-        </div>
-      `).join('');
+    const results = this.paperSearch.search(query, this.searchIndex).map(result => result.item);
+    const open = results.filter(item => item.tab).slice(0, 8);
+    const seen = results.filter(item => !item.tab).slice(0, 8);
+    this.searchResults = [...open, ...seen];
     
-    listElement.innerHTML = html;
+    const titleBuilder = new ArxivTitleBuilder();
+    const renderItem = (item, index) => {
+      const meta = [
+        titleBuilder.getAuthorsEtAl(item.paper.authorsList),
+        titleBuilder.getSubcategory(item.paper.category),
+        item.paper.id,
+        item.otherWindow ? 'other window' : ''
+      ].filter(part => part).join(' · ');
+      
+      return `
+        <div class="search-result" data-index="${index}">
+          <div class="search-result-title">${this.escapeHtml(item.paper.title || item.paper.id)}</div>
+          <div class="search-result-meta">${this.escapeHtml(meta)}</div>
+        </div>
+      `;
+    };
     
-    // Add click listeners to author items
-    listElement.querySelectorAll('.author-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const author = item.dataset.author;
-        this.filterTabsByAuthor(author);
-      });
-    });
+    if (this.searchResults.length === 0) {
+      container.innerHTML = '<div class="no-results">No papers found</div>';
+    } else {
+      container.innerHTML = [
+        open.length > 0 ? '<div class="search-heading">Open tabs</div>' : '',
+        ...open.map((item, i) => renderItem(item, i)),
+        seen.length > 0 ? '<div class="search-heading">Seen before</div>' : '',
+        ...seen.map((item, i) => renderItem(item, open.length + i))
+      ].join('');
+    }
+    container.style.display = 'block';
   }
   
-  async filterTabsByAuthor(author) {
+  // Open results switch to their tab, in whatever window; cached ones reopen in their group
+  async openSearchResult(item) {
     try {
-      console.log(`Searching for tabs by author: ${author}`);
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      const arxivTabs = tabs.filter(tab => this.isArxivUrl(tab.url));
-      
-      console.log(`Found ${arxivTabs.length} ArXiv tabs in current window`);
-      
-      // Get cached data for each tab to check authors
-      const allData = await chrome.storage.local.get(null);
-      const matchingTabs = [];
-      
-      for (const tab of arxivTabs) {
-        const paperId = this.extractPaperId(tab.url);
-        if (paperId) {
-          const cacheKey = `arxiv_${paperId}`;
-          const paperData = allData[cacheKey];
-          console.log(`Tab ${tab.id} (${paperId}): author = ${paperData?.firstAuthor}`);
-          
-          if (paperData && paperData.firstAuthor === author) {
-            matchingTabs.push(tab.id);
-          }
-        }
-      }
-      
-      console.log(`Found ${matchingTabs.length} matching tabs for ${author}`);
-      
-      if (matchingTabs.length > 0) {
-        // Highlight matching tabs by switching to first one
-        await chrome.tabs.update(matchingTabs[0], { active: true });
-        this.hideAuthorList();
-        
-        // Show feedback
-        const searchInput = document.getElementById('author-search');
-        searchInput.value = `Found ${matchingTabs.length} paper(s) by ${author}`;
-        
-        setTimeout(() => {
-          searchInput.value = '';
-        }, 2000);
+      if (item.tab) {
+        await chrome.tabs.update(item.tab.id, { active: true });
+        await chrome.windows.update(item.tab.windowId, { focused: true });
       } else {
-        alert(`No open tabs found for ${author}`);
+        const currentWindow = await chrome.windows.getCurrent();
+        await this.sendMessageToBackground('reopenPaper', { paperId: item.paper.id, windowId: currentWindow.id });
       }
+      window.close();
     } catch (error) {
-      console.error('Failed to filter tabs by author:', error);
+      console.error('Failed to open search result:', error);
+      alert(`Failed to open paper: ${error.message}`);
     }
   }
   
   async groupAllArxivTabs() {
     try {
       const tabs = await chrome.tabs.query({ currentWindow: true });
-      const arxivTabs = tabs.filter(tab => this.isArxivUrl(tab.url));
+      const arxivTabs = tabs.filter(tab => this.idParser.isPaperUrl(tab.url));
       
       if (arxivTabs.length === 0) {
         alert('No ArXiv tabs found in current window');
         return;
       }
       
-      // Trigger regrouping by reloading each ArXiv tab
-      for (const tab of arxivTabs) {
-        await chrome.tabs.reload(tab.id);
-      }
-      
-      // Show feedback
+      // Show feedback; the background reports progress as it goes
       const btn = document.getElementById('group-by-author-btn');
       const originalText = btn.textContent;
       btn.textContent = `Grouping ${arxivTabs.length} tabs...`;
       btn.style.background = '#e7f5e7';
+      btn.disabled = true;
+      
+      // Regroup and retitle in place, without reloading the tabs
+      const result = await this.sendMessageToBackground('regroupAll', { windowId: arxivTabs[0].windowId });
+      
+      if (result && !result.error) {
+        btn.textContent = result.missing > 0
+          ? `Grouped ${result.grouped} tabs (${result.missing} without data)`
+          : `Grouped ${result.grouped} tabs`;
+      } else {
+        btn.textContent = 'Grouping failed';
+      }
       
       setTimeout(() => {
         btn.textContent = originalText;
         btn.style.background = '';
+        btn.disabled = false;
         this.loadStats(); // Refresh stats
       }, 2000);
       
@@ -323,19 +559,12 @@ class PopupManager {
     }
   }
   
-  extractPaperId(url) {
-    const match = url.match(/\/(?:abs|pdf)\/([^/?]+)/);
-    return match ? match[1] : null;
-  }
-
   async loadLikedAuthors() {
     try {
-      const result = await chrome.storage.local.get('likedAuthors');
-      this.likedAuthors = result.likedAuthors || [];
+      await this.likedAuthors.load(); // Migrates the old list of names on first run
       this.updateLikedAuthorsDisplay();
     } catch (error) {
       console.error('Failed to load liked authors:', error);
-      this.likedAuthors = [];
     }
   }
 
@@ -345,68 +574,713 @@ class PopupManager {
     
     if (!authorName) return;
     
-    // Check if author already exists
-    if (this.likedAuthors.includes(authorName)) {
-      alert('Author already in liked list');
-      return;
-    }
-    
     try {
-      this.likedAuthors.push(authorName);
-      await chrome.storage.local.set({ likedAuthors: this.likedAuthors });
-      
+      await this.likedAuthors.add(authorName);
       input.value = '';
       this.updateLikedAuthorsDisplay();
       
       console.log('Added liked author:', authorName);
     } catch (error) {
       console.error('Failed to add liked author:', error);
-      alert('Failed to add author');
+      alert(error.message);
     }
   }
 
-  async removeLikedAuthor(authorName) {
+  async updateLikedAuthor(profileId, fields) {
     try {
-      this.likedAuthors = this.likedAuthors.filter(author => author !== authorName);
-      await chrome.storage.local.set({ likedAuthors: this.likedAuthors });
-      
+      await this.likedAuthors.update(profileId, fields);
+      console.log(`Updated liked author ${profileId}:`, fields);
+    } catch (error) {
+      console.error('Failed to update liked author:', error);
+      alert(`Failed to update author: ${error.message}`);
+    }
+  }
+
+  async removeLikedAuthor(profileId) {
+    try {
+      await this.likedAuthors.remove(profileId);
       this.updateLikedAuthorsDisplay();
       
-      console.log('Removed liked author:', authorName);
+      console.log('Removed liked author:', profileId);
     } catch (error) {
       console.error('Failed to remove liked author:', error);
     }
   }
 
+  // Moves a liked author above or below another one, changing which wins on shared papers
+  async moveLikedAuthor(profileId, targetId, above) {
+    if (profileId === targetId) return;
+    
+    const order = this.likedAuthors.list().map(profile => profile.id).filter(id => id !== profileId);
+    order.splice(order.indexOf(targetId) + (above ? 0 : 1), 0, profileId);
+    
+    try {
+      await this.likedAuthors.reorder(order);
+      this.updateLikedAuthorsDisplay();
+    } catch (error) {
+      console.error('Failed to reorder liked authors:', error);
+    }
+  }
+
   updateLikedAuthorsDisplay() {
     const container = document.getElementById('liked-authors-list');
+    const profiles = this.likedAuthors.list();
     
-    if (this.likedAuthors.length === 0) {
+    if (profiles.length === 0) {
       container.innerHTML = '<div style="color: #666; font-size: 11px; font-style: italic;">No liked authors yet. Add authors to prioritize them for grouping.</div>';
       return;
     }
     
-    const html = this.likedAuthors.map(author => 
-      `<span class="liked-author-tag">
-        ${author}
-        <span class="remove-author" data-author="${author}">×</span>
-      </span>`
-    ).join('');
+    const options = (labels, selected) => Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+      .join('');
+    const colorLabels = { '': 'Automatic color', ...Object.fromEntries(TAB_GROUP_COLORS.map(color => [color, color])) };
     
-    container.innerHTML = html;
+    container.innerHTML = profiles.map((profile, index) => {
+      const badges = [
+        profile.label ? `<span class="liked-author-badge">${this.escapeHtml(profile.label)}</span>` : '',
+        profile.color ? `<span class="liked-author-color" style="background: ${profile.color}" title="${profile.color} group"></span>` : '',
+        profile.grouping !== 'auto' ? `<span class="liked-author-badge">${profile.grouping}</span>` : '',
+        profile.aliases.length > 0 ? `<span class="liked-author-badge">+${profile.aliases.length}</span>` : ''
+      ].join('');
+      
+      return `
+        <div class="liked-author-item" data-profile-id="${this.escapeHtml(profile.id)}">
+          <div class="liked-author-header" draggable="true" title="Click for options, drag to change priority">
+            <span class="liked-author-rank">${index + 1}</span>
+            <span class="liked-author-name">${this.escapeHtml(profile.name)}</span>
+            ${badges}
+            <span class="remove-author" title="Remove">×</span>
+          </div>
+          ${profile.id === this.expandedProfileId ? `
+            <div class="liked-author-options">
+              <textarea data-field="aliases" placeholder="Aliases, one per line: other spellings, maiden names, arxiv.org/a/ author IDs">${this.escapeHtml(profile.aliases.join('\n'))}</textarea>
+              <input type="text" data-field="label" value="${this.escapeHtml(profile.label)}" placeholder="Group label (default: last name)">
+              <select data-field="color">${options(colorLabels, profile.color || '')}</select>
+              <select data-field="grouping">${options(LIKED_AUTHOR_GROUPING, profile.grouping)}</select>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  async loadTitleTemplate() {
+    try {
+      const template = this.settings.get('titleTemplate');
+      
+      const presetSelect = document.getElementById('title-template-preset');
+      presetSelect.innerHTML = ['<option value="">Custom...</option>']
+        .concat(TITLE_TEMPLATE_PRESETS.map(preset => `<option value="${preset}">${preset}</option>`))
+        .join('');
+      presetSelect.value = TITLE_TEMPLATE_PRESETS.includes(template) ? template : '';
+      
+      document.getElementById('title-template-input').value = template;
+      document.getElementById('title-token-help').textContent =
+        'Tokens: ' + Object.keys(TITLE_TEMPLATE_TOKENS).map(token => `{${token}}`).join(' ');
+      document.getElementById('title-token-help').title = Object.entries(TITLE_TEMPLATE_TOKENS)
+        .map(([token, description]) => `{${token}}: ${description}`)
+        .join('\n');
+      
+      this.previewPaper = await this.getPreviewPaper();
+      this.updateTitlePreview();
+    } catch (error) {
+      console.error('Failed to load title template:', error);
+    }
+  }
+
+  async getPreviewPaper() {
+    // Preview against the current tab's paper, or a sample paper when not on ArXiv
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab && tab.url && this.idParser.isPaperUrl(tab.url)) {
+        const paperData = await this.paperStore.get(tab.url);
+        if (paperData) {
+          return { ...paperData, url: tab.url };
+        }
+      }
+    } catch (error) {
+      console.error('Failed to get preview paper:', error);
+    }
     
-    // Add click listeners for remove buttons
-    container.querySelectorAll('.remove-author').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const author = btn.dataset.author;
-        this.removeLikedAuthor(author);
-      });
+    return SAMPLE_PAPER;
+  }
+
+  updateTitlePreview() {
+    const template = document.getElementById('title-template-input').value.trim();
+    const titleBuilder = new ArxivTitleBuilder(template, this.settings.get('titleMaxLength'));
+    const preview = this.previewPaper ? titleBuilder.build(this.previewPaper) : null;
+    document.getElementById('title-preview').textContent = preview || '-';
+  }
+
+  async saveTitleTemplate(template) {
+    try {
+      await this.settings.set({ titleTemplate: template });
+      
+      document.getElementById('title-template-preset').value =
+        TITLE_TEMPLATE_PRESETS.includes(template) ? template : '';
+      this.updateTitlePreview();
+      
+      console.log('Saved title template:', template);
+    } catch (error) {
+      console.error('Failed to save title template:', error);
+      alert(`Failed to save title template: ${error.message}`);
+    }
+  }
+
+  async loadGrouping() {
+    try {
+      const spec = SETTINGS_SCHEMA.groupingStrategy;
+      const select = document.getElementById('grouping-strategy');
+      select.innerHTML = spec.options
+        .map(option => `<option value="${option}">${spec.optionLabels[option]}</option>`)
+        .join('');
+      select.value = this.settings.get('groupingStrategy');
+      
+      // Show the current paper's tag, if it has one
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const tagRow = document.getElementById('paper-tag-row');
+      if (tab && tab.url && this.idParser.isPaperUrl(tab.url)) {
+        const paperId = this.idParser.getPaperId(tab.url);
+        const result = await chrome.storage.local.get('paperTags');
+        const paperTags = result.paperTags || {};
+        document.getElementById('paper-tag-input').value = paperTags[paperId] || '';
+        tagRow.style.display = '';
+      } else {
+        tagRow.style.display = 'none';
+      }
+      
+      await this.loadGroupColor(tab);
+    } catch (error) {
+      console.error('Failed to load grouping settings:', error);
+    }
+  }
+
+  // Shows the color of the current tab's group, if we grouped it, so it can be pinned
+  async loadGroupColor(tab) {
+    const row = document.getElementById('group-color-row');
+    const response = tab ? await this.sendMessageToBackground('getGroupColor', { tabId: tab.id }) : null;
+    if (!response || !response.key) {
+      row.style.display = 'none';
+      return;
+    }
+    
+    this.currentGroupTabId = tab.id;
+    document.getElementById('group-color-label').textContent = `Color of "${response.title}"`;
+    const select = document.getElementById('group-color-pin');
+    select.innerHTML = [`<option value="">Automatic (${response.color})</option>`]
+      .concat(TAB_GROUP_COLORS.map(color => `<option value="${color}">Always ${color}</option>`))
+      .join('');
+    select.value = response.pinned || '';
+    row.style.display = '';
+  }
+
+  async pinGroupColor(color) {
+    try {
+      const response = await this.sendMessageToBackground('pinGroupColor', { tabId: this.currentGroupTabId, color });
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
+      console.log(`Pinned group color ${response.key}:`, color || 'automatic');
+    } catch (error) {
+      console.error('Failed to pin group color:', error);
+      alert(`Failed to pin color: ${error.message}`);
+    }
+  }
+
+  async setGroupingStrategy(strategy) {
+    try {
+      // The background regroups every open ArXiv tab when this changes
+      await this.settings.set({ groupingStrategy: strategy });
+      console.log('Grouping strategy set to:', strategy);
+    } catch (error) {
+      console.error('Failed to set grouping strategy:', error);
+      alert(`Failed to set grouping strategy: ${error.message}`);
+    }
+  }
+
+  async tagCurrentPaper() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !tab.url || !this.idParser.isPaperUrl(tab.url)) {
+        alert('Please navigate to an ArXiv page first');
+        return;
+      }
+      
+      // Tags belong to the paper, not to one version of it
+      const paperId = this.idParser.getPaperId(tab.url);
+      const tag = document.getElementById('paper-tag-input').value.trim();
+      const result = await chrome.storage.local.get('paperTags');
+      const paperTags = result.paperTags || {};
+      
+      if (tag) {
+        paperTags[paperId] = tag;
+      } else {
+        delete paperTags[paperId];
+      }
+      await chrome.storage.local.set({ paperTags });
+      
+      // Show feedback
+      const btn = document.getElementById('paper-tag-btn');
+      const originalText = btn.textContent;
+      btn.textContent = tag ? 'Tagged!' : 'Cleared!';
+      
+      setTimeout(() => {
+        btn.textContent = originalText;
+      }, 1500);
+      
+      console.log(`Tagged paper ${paperId}:`, tag);
+    } catch (error) {
+      console.error('Failed to tag paper:', error);
+      alert('Failed to tag paper');
+    }
+  }
+
+  async exportCitations(mode) {
+    const scope = document.getElementById('cite-scope').value;
+    const format = document.getElementById('cite-format').value;
+    const btn = document.getElementById(mode === 'copy' ? 'cite-copy-btn' : 'cite-download-btn');
+    
+    try {
+      const papers = await this.getPapersForScope(scope);
+      if (papers.length === 0) {
+        alert('No papers to cite for this selection');
+        return;
+      }
+      
+      const text = this.citationFormatter.format(papers, format);
+      if (mode === 'copy') {
+        await navigator.clipboard.writeText(text);
+      } else {
+        const spec = CITATION_FORMATS[format];
+        const blob = new Blob([text], { type: spec.mimeType });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `arxiv-citations.${spec.extension}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+      }
+      
+      // Show feedback
+      const originalText = btn.textContent;
+      btn.textContent = `${mode === 'copy' ? 'Copied' : 'Saved'} ${papers.length}!`;
+      setTimeout(() => {
+        btn.textContent = originalText;
+      }, 1500);
+    } catch (error) {
+      console.error('Failed to export citations:', error);
+      alert(`Failed to export citations: ${error.message}`);
+    }
+  }
+
+  // Paper records for the tab, its group, the window or the library, looking up uncached ones
+  async getPapersForScope(scope) {
+    let paperIds = [];
+    
+    if (scope === 'library') {
+      await this.library.load();
+      paperIds = this.library.getSavedIds();
+    } else {
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      let tabs = [];
+      if (scope === 'tab') {
+        tabs = activeTab ? [activeTab] : [];
+      } else if (scope === 'group') {
+        if (!activeTab || activeTab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
+          throw new Error('The current tab is not in a tab group');
+        }
+        tabs = await chrome.tabs.query({ groupId: activeTab.groupId });
+      } else {
+        tabs = await chrome.tabs.query({ currentWindow: true });
+      }
+      paperIds = tabs.map(tab => this.idParser.getPaperId(tab.url)).filter(paperId => paperId);
+    }
+    
+    const uniqueIds = [...new Set(paperIds)];
+    const cached = await this.paperStore.getMany(uniqueIds);
+    
+    return Promise.all(uniqueIds.map(async paperId => {
+      const paperData = cached[paperId];
+      if (paperData) return paperData;
+      
+      const response = await this.sendMessageToBackground('lookupPaper', { paperId });
+      return response ? response.paperData : null;
+    })).then(papers => papers.filter(paper => paper));
+  }
+
+  showView(viewId) {
+    document.querySelectorAll('.view-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === viewId);
+      document.getElementById(tab.dataset.view).style.display = tab.dataset.view === viewId ? '' : 'none';
     });
   }
 
-  isArxivUrl(url) {
-    return url && (url.includes('arxiv.org/abs/') || url.includes('arxiv.org/pdf/'));
+  async loadLibrary() {
+    try {
+      await this.library.load();
+      
+      const statusOptions = Object.entries(LIBRARY_STATUSES)
+        .map(([status, label]) => `<option value="${status}">${label}</option>`)
+        .join('');
+      document.getElementById('save-paper-status').innerHTML = statusOptions;
+      document.getElementById('library-filter').innerHTML =
+        '<option value="">All saved papers</option>' + statusOptions;
+      
+      // Papers are saved from the current tab, once we have cached data for them
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      this.currentPaperId = null;
+      if (tab && tab.url && this.idParser.isPaperUrl(tab.url) && await this.paperStore.get(tab.url)) {
+        this.currentPaperId = this.idParser.getPaperId(tab.url);
+      }
+      
+      this.updateSavePaperControl();
+      await this.updateLibraryDisplay();
+    } catch (error) {
+      console.error('Failed to load library:', error);
+    }
+  }
+
+  updateSavePaperControl() {
+    const row = document.getElementById('save-paper-row');
+    if (!this.currentPaperId) {
+      row.style.display = 'none';
+      return;
+    }
+    
+    const entry = this.library.getEntry(this.currentPaperId);
+    const btn = document.getElementById('save-paper-btn');
+    const statusSelect = document.getElementById('save-paper-status');
+    
+    row.style.display = '';
+    btn.textContent = entry ? '★ Saved (click to remove)' : '☆ Save to Library';
+    btn.classList.toggle('saved', !!entry);
+    statusSelect.style.display = entry ? '' : 'none';
+    if (entry) {
+      statusSelect.value = entry.status;
+    }
+  }
+
+  async toggleCurrentPaperSaved() {
+    if (!this.currentPaperId) return;
+    
+    if (this.library.isSaved(this.currentPaperId)) {
+      await this.removeFromLibrary(this.currentPaperId);
+    } else {
+      await this.updateLibraryEntry(this.currentPaperId, {});
+    }
+  }
+
+  async updateLibraryEntry(paperId, fields) {
+    try {
+      await this.library.save(paperId, fields);
+      console.log(`Updated library entry ${paperId}:`, fields);
+    } catch (error) {
+      console.error('Failed to update library entry:', error);
+      alert(`Failed to save paper: ${error.message}`);
+    }
+  }
+
+  async removeFromLibrary(paperId) {
+    try {
+      await this.library.remove(paperId);
+      console.log('Removed paper from library:', paperId);
+    } catch (error) {
+      console.error('Failed to remove paper from library:', error);
+    }
+  }
+
+  async updateLibraryDisplay() {
+    const container = document.getElementById('library-list');
+    const filter = document.getElementById('library-filter').value;
+    const priorityOrder = Object.keys(LIBRARY_PRIORITIES);
+    
+    const entries = Object.values(this.library.entries)
+      .filter(entry => !filter || entry.status === filter)
+      .sort((a, b) => priorityOrder.indexOf(a.priority) - priorityOrder.indexOf(b.priority) ||
+        (b.updatedAt || 0) - (a.updatedAt || 0));
+    
+    document.getElementById('library-count').textContent = this.library.getSavedIds().length;
+    
+    if (entries.length === 0) {
+      container.innerHTML = '<div class="no-results">No saved papers yet. Save papers from their tab to build your reading list.</div>';
+      return;
+    }
+    
+    // Titles and authors come from the paper cache, where saved papers are pinned
+    const papers = await this.paperStore.getMany(entries.map(entry => entry.id));
+    const titleBuilder = new ArxivTitleBuilder();
+    
+    const options = (labels, selected) => Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+      .join('');
+    
+    container.innerHTML = entries.map(entry => {
+      const paperData = papers[entry.id] || {};
+      const meta = [titleBuilder.getAuthorsEtAl(paperData.authorsList), titleBuilder.getSubcategory(paperData.category), entry.id]
+        .filter(part => part)
+        .join(' · ');
+      
+      return `
+        <div class="library-item" data-paper-id="${this.escapeHtml(entry.id)}">
+          <div class="library-title">${this.escapeHtml(paperData.title || entry.id)}</div>
+          <div class="library-meta">${this.escapeHtml(meta)}</div>
+          <div class="library-controls">
+            <select data-field="status">${options(LIBRARY_STATUSES, entry.status)}</select>
+            <select data-field="priority">${options(LIBRARY_PRIORITIES, entry.priority)}</select>
+            <span class="remove-author" title="Remove from library">×</span>
+          </div>
+          <input type="text" data-field="tags" value="${this.escapeHtml(entry.tags.join(', '))}" placeholder="Tags, comma separated">
+          <textarea data-field="notes" placeholder="Notes">${this.escapeHtml(entry.notes)}</textarea>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async loadVersionNotices() {
+    try {
+      const response = await this.sendMessageToBackground('getVersionNotices');
+      this.updateVersionNoticesDisplay(response && response.notices ? response.notices : []);
+    } catch (error) {
+      console.error('Failed to load version notices:', error);
+    }
+  }
+
+  updateVersionNoticesDisplay(notices) {
+    document.getElementById('versions-section').style.display = notices.length > 0 ? '' : 'none';
+    document.getElementById('version-list').innerHTML = notices.map(notice => `
+      <div class="version-item" data-paper-id="${this.escapeHtml(notice.paperId)}">
+        <a href="${this.escapeHtml(notice.url)}" title="Open v${notice.latestVersion}">${this.escapeHtml(notice.title)}</a>
+        <span class="version-change">v${notice.versionSeen} → v${notice.latestVersion}</span>
+        <span class="remove-author" title="Dismiss">×</span>
+      </div>
+    `).join('');
+  }
+
+  async checkForNewVersions() {
+    const btn = document.getElementById('check-versions-btn');
+    const originalText = btn.textContent;
+    btn.textContent = 'Checking...';
+    btn.disabled = true;
+    
+    try {
+      const response = await this.sendMessageToBackground('checkVersions');
+      const notices = response && response.notices ? response.notices : [];
+      this.updateVersionNoticesDisplay(notices);
+      
+      // Show feedback
+      btn.textContent = notices.length > 0 ? `${notices.length} papers updated` : 'All up to date';
+      btn.style.background = '#e7f5e7';
+    } catch (error) {
+      console.error('Failed to check for new versions:', error);
+      btn.textContent = 'Check failed';
+    }
+    
+    setTimeout(() => {
+      btn.textContent = originalText;
+      btn.style.background = '';
+      btn.disabled = false;
+    }, 2000);
+  }
+
+  async dismissVersionNotice(paperId) {
+    await this.sendMessageToBackground('dismissVersionNotice', { paperId });
+    await this.loadVersionNotices();
+  }
+
+  async loadDuplicates() {
+    try {
+      const spec = SETTINGS_SCHEMA.duplicateKeep;
+      const select = document.getElementById('duplicate-keep');
+      select.innerHTML = spec.options
+        .map(option => `<option value="${option}">${spec.optionLabels[option]}</option>`)
+        .join('');
+      select.value = this.settings.get('duplicateKeep');
+      
+      await this.updateDuplicatesDisplay();
+    } catch (error) {
+      console.error('Failed to load duplicate tabs:', error);
+    }
+  }
+
+  async updateDuplicatesDisplay() {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await this.sendMessageToBackground('findDuplicates', { windowId: currentWindow.id });
+    const duplicates = response && response.duplicates ? response.duplicates : [];
+    
+    const section = document.getElementById('duplicates-section');
+    section.style.display = duplicates.length > 0 ? '' : 'none';
+    
+    document.getElementById('duplicate-list').innerHTML = duplicates.map(duplicate => {
+      const kinds = duplicate.tabs
+        .map(tab => (tab.version ? `${tab.kind} v${tab.version}` : tab.kind))
+        .join(', ');
+      
+      return `
+        <div class="duplicate-item" data-paper-id="${this.escapeHtml(duplicate.paperId)}">
+          <span class="duplicate-title" title="${this.escapeHtml(duplicate.title)}">${this.escapeHtml(duplicate.title)}</span>
+          <span class="duplicate-kinds">${this.escapeHtml(kinds)}</span>
+          <button class="duplicate-close" title="Keep one tab, close the rest">Keep one</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async setDuplicateKeep(keep) {
+    try {
+      await this.settings.set({ duplicateKeep: keep });
+    } catch (error) {
+      console.error('Failed to set duplicate preference:', error);
+      alert(`Failed to set duplicate preference: ${error.message}`);
+    }
+  }
+
+  async closeDuplicates(paperId = null) {
+    try {
+      const currentWindow = await chrome.windows.getCurrent();
+      const response = await this.sendMessageToBackground('closeDuplicates', {
+        windowId: currentWindow.id,
+        paperId: paperId,
+        keep: document.getElementById('duplicate-keep').value
+      });
+      
+      if (!response || response.error) {
+        alert(`Failed to close duplicate tabs: ${response ? response.error : 'no response'}`);
+        return;
+      }
+      
+      console.log(`Closed ${response.closed} duplicate tabs`);
+      await this.updateDuplicatesDisplay();
+    } catch (error) {
+      console.error('Failed to close duplicate tabs:', error);
+    }
+  }
+
+  async loadSessions() {
+    try {
+      await this.sessions.load();
+      this.updateSessionsDisplay();
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    }
+  }
+
+  updateSessionsDisplay() {
+    const container = document.getElementById('session-list');
+    const sessions = this.sessions.list();
+    
+    document.getElementById('sessions-count').textContent = sessions.length;
+    
+    if (sessions.length === 0) {
+      container.innerHTML = '<div class="no-results">No saved sessions yet. Save this window\'s ArXiv tabs to come back to them later.</div>';
+      return;
+    }
+    
+    container.innerHTML = sessions.map(session => {
+      const meta = [
+        `${session.tabs.length} tab${session.tabs.length === 1 ? '' : 's'}`,
+        `${session.groups.length} group${session.groups.length === 1 ? '' : 's'}`,
+        new Date(session.updatedAt).toLocaleDateString()
+      ].join(' · ');
+      
+      return `
+        <div class="session-item" data-session-id="${this.escapeHtml(session.id)}">
+          <input type="checkbox" class="session-select" title="Select for merging">
+          <div class="session-details">
+            <input type="text" data-field="name" value="${this.escapeHtml(session.name)}" title="Click to rename">
+            <div class="session-meta">${this.escapeHtml(meta)}</div>
+          </div>
+          <button class="session-restore" title="Open in a new window">Restore</button>
+          <span class="remove-author" title="Delete session">×</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async saveSession() {
+    const input = document.getElementById('session-name-input');
+    const btn = document.getElementById('save-session-btn');
+    
+    try {
+      const currentWindow = await chrome.windows.getCurrent();
+      const response = await this.sendMessageToBackground('saveSession', {
+        windowId: currentWindow.id,
+        name: input.value
+      });
+      
+      if (!response || response.error) {
+        alert(`Failed to save session: ${response ? response.error : 'no response'}`);
+        return;
+      }
+      
+      input.value = '';
+      
+      // Show feedback
+      const originalText = btn.textContent;
+      btn.textContent = `Saved ${response.session.tabs.length} tabs!`;
+      btn.style.background = '#e7f5e7';
+      setTimeout(() => {
+        btn.textContent = originalText;
+        btn.style.background = '';
+      }, 1500);
+    } catch (error) {
+      console.error('Failed to save session:', error);
+      alert(`Failed to save session: ${error.message}`);
+    }
+  }
+
+  async restoreSession(sessionId) {
+    // The popup closes once the new window takes focus, so the background does the work
+    const response = await this.sendMessageToBackground('restoreSession', { sessionId });
+    if (response && response.error) {
+      alert(`Failed to restore session: ${response.error}`);
+    }
+  }
+
+  async renameSession(sessionId, name) {
+    try {
+      await this.sessions.rename(sessionId, name);
+    } catch (error) {
+      console.error('Failed to rename session:', error);
+      alert(`Failed to rename session: ${error.message}`);
+      this.updateSessionsDisplay();
+    }
+  }
+
+  async mergeSelectedSessions() {
+    // Merge into the topmost selected session, which keeps its name
+    const sessionIds = Array.from(document.querySelectorAll('.session-select:checked'))
+      .map(checkbox => checkbox.closest('.session-item').dataset.sessionId);
+    
+    if (sessionIds.length < 2) {
+      alert('Select at least two sessions to merge');
+      return;
+    }
+    
+    try {
+      const [targetId, ...sourceIds] = sessionIds;
+      const merged = await this.sessions.merge(targetId, sourceIds);
+      console.log(`Merged ${sourceIds.length} sessions into "${merged.name}"`);
+    } catch (error) {
+      console.error('Failed to merge sessions:', error);
+      alert(`Failed to merge sessions: ${error.message}`);
+    }
+  }
+
+  async deleteSession(sessionId) {
+    try {
+      await this.sessions.remove(sessionId);
+      console.log('Deleted session:', sessionId);
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+    }
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   sendMessageToBackground(action, data = {}) {
@@ -429,5 +1303,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     document.getElementById('cached-count').textContent = message.stats.cachedPapers || 0;
     document.getElementById('memory-count').textContent = message.stats.memoryCache || 0;
     document.getElementById('groups-count').textContent = message.stats.authorGroups || 0;
+  } else if (message.action === 'regroupProgress' && message.phase !== 'done') {
+    const btn = document.getElementById('group-by-author-btn');
+    btn.textContent = message.phase === 'loading'
+      ? `Looking up ${message.total} papers...`
+      : `Grouping ${message.done}/${message.total} tabs...`;
   }
 });
\ No newline at end of file
@@ -0,0 +1,118 @@
+// ArXiv Tab Enhancer Paper Search
+// Fuzzy search over paper records: title words, every author, arXiv ID, categories and the
+// abstract when it's cached. Every query word has to match somewhere; matches in the ID,
+// title and authors count for more than matches in the category or abstract.
+
+const SEARCH_FIELD_WEIGHTS = {
+  id: 12,
+  title: 6,
+  authors: 5,
+  category: 4,
+  abstract: 1
+};
+
+// Cached papers indexed for search besides open tabs' papers, most recently used first
+const SEARCH_INDEX_MAX_PAPERS = 2000;
+
+class ArxivPaperSearch {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+    this.authorMatcher = new ArxivAuthorMatcher();
+  }
+
+  // Lowercase, accent-free words. Dots and slashes stay inside words so IDs like 2401.12345
+  // and math/0309136 and categories like cs.LG stay whole.
+  tokenize(text) {
+    return this.authorMatcher.normalizeText(text)
+      .split(/[^a-z0-9./]+/)
+      .map(word => word.replace(/^[./]+|[./]+$/g, ''))
+      .filter(word => word);
+  }
+
+  // Tokenizes each paper once, so searching as you type stays fast. Items can carry anything
+  // else the caller needs; only item.paper is read.
+  buildIndex(items) {
+    return items.map(item => {
+      const paper = item.paper;
+      const category = this.tokenize([paper.category, ...(paper.categories || [])].join(' '));
+      return {
+        item: item,
+        fields: {
+          id: this.tokenize(paper.id),
+          title: this.tokenize(paper.title),
+          authors: this.tokenize((paper.authorsList || [paper.firstAuthor]).join(' ')),
+          category: [...category, ...category.flatMap(word => word.split('.'))],
+          abstract: [...new Set(this.tokenize(paper.abstract))]
+        }
+      };
+    });
+  }
+
+  // Items with a score above zero, best first
+  search(query, index) {
+    const terms = this.tokenize(query);
+    if (terms.length === 0) return [];
+
+    // A pasted ID or URL finds that paper first
+    const queryId = this.idParser.getPaperId(query.trim());
+
+    return index
+      .map(({ item, fields }) => {
+        let score = queryId && item.paper.id === queryId ? 100 : 0;
+        for (const term of terms) {
+          const termScore = Math.max(...Object.entries(SEARCH_FIELD_WEIGHTS)
+            .map(([field, weight]) => weight * this.matchWords(term, fields[field])));
+          if (termScore === 0 && score < 100) return { item, score: 0 };
+          score += termScore;
+        }
+        return { item, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || (b.item.paper.lastOpened || 0) - (a.item.paper.lastOpened || 0));
+  }
+
+  // How well a query word matches the best of some words: 1 exactly, less for a prefix,
+  // a substring, or a prefix with one typo (two for long words)
+  matchWords(term, words) {
+    let best = 0;
+    for (const word of words) {
+      if (word === term) return 1;
+      if (word.startsWith(term)) {
+        best = Math.max(best, 0.8);
+      } else if (term.length >= 3 && word.includes(term)) {
+        best = Math.max(best, 0.5);
+      } else if (term.length >= 4 && best < 0.4) {
+        // Compare with the word's prefixes of about the term's length, so a dropped or
+        // doubled letter counts as one typo
+        const allowed = term.length >= 7 ? 2 : 1;
+        for (let length = term.length - allowed; length <= term.length + allowed; length++) {
+          if (this.getEditDistance(term, word.substring(0, length), allowed) <= allowed) {
+            best = 0.4;
+            break;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  // Levenshtein distance, giving up once it's over max
+  getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      if (Math.min(...current) > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
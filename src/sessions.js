@@ -0,0 +1,136 @@
+// ArXiv Tab Enhancer Research Sessions
+// Named snapshots of a window's arXiv tabs: tab order, abs vs pdf, and the groups they were in.
+// The background captures and restores sessions; the popup lists, renames, merges and deletes them.
+
+const SESSIONS_STORAGE_KEY = 'researchSessions';
+
+class ArxivSessions {
+  constructor() {
+    this.sessions = {};
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(SESSIONS_STORAGE_KEY);
+      this.sessions = result[SESSIONS_STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      this.sessions = {};
+    }
+    return this.sessions;
+  }
+
+  // Most recently changed first
+  list() {
+    return Object.values(this.sessions).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+
+  get(sessionId) {
+    return this.sessions[sessionId] || null;
+  }
+
+  // Stores a new session. Tabs are { paperId, kind, version, group } where group indexes
+  // into groups: { key, title, color, collapsed }, or is null for ungrouped tabs.
+  async create(name, { tabs, groups }) {
+    await this.load();
+    const now = Date.now();
+    const session = {
+      id: `session_${now.toString(36)}`,
+      name: this.validateName(name) || `Session ${new Date(now).toLocaleString()}`,
+      tabs: tabs,
+      groups: groups,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.sessions[session.id] = session;
+    await this.persist();
+    return session;
+  }
+
+  async rename(sessionId, name) {
+    await this.load();
+    const session = this.sessions[sessionId];
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const validName = this.validateName(name);
+    if (!validName) {
+      throw new Error('Session name cannot be empty');
+    }
+
+    session.name = validName;
+    session.updatedAt = Date.now();
+    await this.persist();
+    return session;
+  }
+
+  // Appends the other sessions' tabs to the target, keeping the target's name. Tabs already
+  // in the target (same paper and page kind) are skipped; groups with the same key, or the
+  // same title and color for groups made by hand, are combined. Merged sessions are deleted.
+  async merge(targetId, sourceIds) {
+    await this.load();
+    const target = this.sessions[targetId];
+    if (!target) {
+      throw new Error('Session not found');
+    }
+
+    const tabKeys = new Set(target.tabs.map(tab => `${tab.paperId}|${tab.kind}`));
+    const groupKey = group => group.key || `${group.title}|${group.color}`;
+    const groupIndex = new Map(target.groups.map((group, index) => [groupKey(group), index]));
+
+    for (const sourceId of sourceIds) {
+      const source = this.sessions[sourceId];
+      if (!source || sourceId === targetId) continue;
+
+      for (const tab of source.tabs) {
+        const tabKey = `${tab.paperId}|${tab.kind}`;
+        if (tabKeys.has(tabKey)) continue;
+        tabKeys.add(tabKey);
+
+        let group = null;
+        if (tab.group !== null && source.groups[tab.group]) {
+          const sourceGroup = source.groups[tab.group];
+          if (!groupIndex.has(groupKey(sourceGroup))) {
+            groupIndex.set(groupKey(sourceGroup), target.groups.length);
+            target.groups.push({ ...sourceGroup });
+          }
+          group = groupIndex.get(groupKey(sourceGroup));
+        }
+        target.tabs.push({ ...tab, group });
+      }
+      delete this.sessions[sourceId];
+    }
+
+    target.updatedAt = Date.now();
+    await this.persist();
+    return target;
+  }
+
+  async remove(sessionId) {
+    await this.load();
+    if (!this.sessions[sessionId]) return;
+
+    delete this.sessions[sessionId];
+    await this.persist();
+  }
+
+  validateName(name) {
+    return String(name || '').trim().substring(0, 100);
+  }
+
+  async persist() {
+    await chrome.storage.local.set({ [SESSIONS_STORAGE_KEY]: this.sessions });
+  }
+
+  // Calls back with all sessions whenever any context changes them
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[SESSIONS_STORAGE_KEY]) return;
+
+      this.sessions = changes[SESSIONS_STORAGE_KEY].newValue || {};
+      callback(this.sessions);
+    });
+  }
+}
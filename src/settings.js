@@ -0,0 +1,217 @@
+// ArXiv Tab Enhancer Settings
+// Typed settings store shared by the content script, background worker, popup and options page
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+// Every configurable behavior, with its type, default and allowed range
+const SETTINGS_SCHEMA = {
+  titleTemplate: {
+    type: 'string',
+    default: DEFAULT_TITLE_TEMPLATE,
+    label: 'Tab title template',
+    description: 'Format for tab titles, e.g. "{author} {year} · {title}"'
+  },
+  titleMaxLength: {
+    type: 'number',
+    default: 60,
+    min: 20,
+    max: 200,
+    label: 'Maximum title length',
+    description: 'Longer titles are truncated with "..."'
+  },
+  groupingEnabled: {
+    type: 'boolean',
+    default: true,
+    label: 'Group tabs automatically',
+    description: 'Put ArXiv tabs into Chrome tab groups'
+  },
+  groupingStrategy: {
+    type: 'string',
+    default: 'author',
+    options: ['author', 'category', 'likedAuthor', 'tag'],
+    optionLabels: {
+      author: 'By author',
+      category: 'By primary category',
+      likedAuthor: 'Liked authors only',
+      tag: 'By tag'
+    },
+    label: 'Grouping strategy',
+    description: 'What tabs are grouped by: author, primary category, liked authors only, or your tags'
+  },
+  linkPreviewsEnabled: {
+    type: 'boolean',
+    default: false,
+    label: 'Preview arXiv links on other sites',
+    description: 'Show title, authors and abstract when hovering arXiv links on any web page (asks for access to all sites)'
+  },
+  duplicateKeep: {
+    type: 'string',
+    default: 'abs',
+    options: ['abs', 'pdf', 'latest'],
+    optionLabels: {
+      abs: 'Keep the abstract page',
+      pdf: 'Keep the PDF',
+      latest: 'Keep the latest version'
+    },
+    label: 'Duplicate tabs',
+    description: 'Which tab to keep when closing other tabs of the same paper'
+  },
+  metadataEndpoint: {
+    type: 'string',
+    default: 'https://export.arxiv.org/api/query',
+    pattern: /^https?:\/\/[^\s/]+(\/\S*)?$/,
+    label: 'Metadata API endpoint',
+    description: 'arXiv export API used to look up papers; point it at a local fixture server for testing'
+  },
+  versionCheckHours: {
+    type: 'number',
+    default: 12,
+    min: 0,
+    max: 168,
+    label: 'New version check interval (hours)',
+    description: 'How often saved and open papers are checked for newer arXiv versions; 0 turns checking off'
+  },
+  cacheTtlDays: {
+    type: 'number',
+    default: 30,
+    min: 1,
+    max: 365,
+    label: 'Cache lifetime (days)',
+    description: 'Cached paper data older than this is fetched again'
+  },
+  cacheMaxMegabytes: {
+    type: 'number',
+    default: 20,
+    min: 1,
+    max: 500,
+    label: 'Maximum cache size (MB)',
+    description: 'Least recently used papers are removed once the cache grows past this size; saved papers are kept'
+  },
+  syncEnabled: {
+    type: 'boolean',
+    default: true,
+    label: 'Sync settings and liked authors',
+    description: 'Keep them the same on every computer signed in to this Chrome profile; the library is moved with a backup instead'
+  }
+};
+
+class ArxivSettings {
+  constructor() {
+    this.values = ArxivSettings.getDefaults();
+  }
+
+  static getDefaults() {
+    const defaults = {};
+    for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+      defaults[key] = spec.default;
+    }
+    return defaults;
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+      this.values = this.sanitize(result[SETTINGS_STORAGE_KEY] || {});
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      this.values = ArxivSettings.getDefaults();
+    }
+    return this.values;
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  getAll() {
+    return { ...this.values };
+  }
+
+  async set(changes) {
+    const updated = { ...this.values };
+    for (const [key, value] of Object.entries(changes)) {
+      updated[key] = this.validate(key, value);
+    }
+
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: updated });
+    this.values = updated;
+    return this.values;
+  }
+
+  async reset() {
+    await chrome.storage.local.remove(SETTINGS_STORAGE_KEY);
+    this.values = ArxivSettings.getDefaults();
+    return this.values;
+  }
+
+  // Returns the value coerced to the setting's type, or throws if it is invalid
+  validate(key, value) {
+    const spec = SETTINGS_SCHEMA[key];
+    if (!spec) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    if (spec.type === 'number') {
+      const number = Number(value);
+      if (value === '' || value === null || !Number.isFinite(number)) {
+        throw new Error(`${spec.label} must be a number`);
+      }
+      if (number < spec.min || number > spec.max) {
+        throw new Error(`${spec.label} must be between ${spec.min} and ${spec.max}`);
+      }
+      return Math.round(number);
+    }
+
+    if (spec.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${spec.label} must be true or false`);
+      }
+      return value;
+    }
+
+    if (spec.type === 'string') {
+      if (typeof value !== 'string') {
+        throw new Error(`${spec.label} must be text`);
+      }
+      if (spec.options && !spec.options.includes(value)) {
+        throw new Error(`${spec.label} must be one of: ${spec.options.join(', ')}`);
+      }
+      if (spec.pattern && value.trim() && !spec.pattern.test(value.trim())) {
+        throw new Error(`${spec.label} is not valid`);
+      }
+      return value.trim() || spec.default;
+    }
+
+    return value;
+  }
+
+  // Drop unknown keys and fall back to defaults for invalid stored values
+  sanitize(stored) {
+    const values = ArxivSettings.getDefaults();
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+      if (stored[key] === undefined) continue;
+      try {
+        values[key] = this.validate(key, stored[key]);
+      } catch (error) {
+        console.warn(`Ignoring invalid stored setting ${key}:`, error.message);
+      }
+    }
+    return values;
+  }
+
+  // Calls back with the changed keys whenever any context saves new settings
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[SETTINGS_STORAGE_KEY]) return;
+
+      const previous = this.sanitize(changes[SETTINGS_STORAGE_KEY].oldValue || {});
+      this.values = this.sanitize(changes[SETTINGS_STORAGE_KEY].newValue || {});
+      const changedKeys = Object.keys(SETTINGS_SCHEMA)
+        .filter(key => previous[key] !== this.values[key]);
+
+      if (changedKeys.length > 0) {
+        callback(changedKeys, this.values);
+      }
+    });
+  }
+}
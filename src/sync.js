@@ -0,0 +1,207 @@
+// ArXiv Tab Enhancer Sync
+// Keeps settings and liked authors in step across computers through chrome.storage.sync.
+// Each run compares this computer's data and the synced data with what both agreed on last
+// time: whichever side changed wins, and when both did they're merged the way a backup import
+// merges (see backup.js). chrome.storage.sync is small (about 100 KB, 8 KB per item, a limited
+// number of writes per minute), so liked authors are split over several items, only changed
+// items are written, and writes that hit a limit are retried later. The library is too big to
+// sync; it moves between computers with a backup.
+
+const SYNC_STATUS_KEY = 'syncStatus';
+const SYNC_RETRY_ALARM = 'sync-retry';
+
+// Items in chrome.storage.sync: the settings, then liked authors as likedAuthors.0, .1, ...
+const SYNC_SETTINGS_KEY = 'settings';
+const SYNC_LIKED_AUTHORS_PREFIX = 'likedAuthors.';
+const SYNC_LIKED_AUTHORS_COUNT_KEY = 'likedAuthors.count';
+
+// Settings that belong to one computer and never leave it. Link previews need access to all
+// sites, which each computer grants on its own.
+const SYNC_LOCAL_ONLY_SETTINGS = ['syncEnabled', 'linkPreviewsEnabled'];
+
+// How long to wait for more changes before syncing, so typing in an alias field is one write
+const SYNC_DELAY_MS = 2000;
+
+class ArxivSync {
+  constructor() {
+    this.settings = new ArxivSettings();
+    this.likedAuthors = new ArxivLikedAuthors();
+    this.backup = new ArxivBackup();
+    this.timer = null;
+    this.running = Promise.resolve();
+  }
+
+  // Chrome's limits, with the documented values as a fallback
+  getQuota() {
+    const sync = chrome.storage.sync;
+    return {
+      total: sync.QUOTA_BYTES || 102400,
+      perItem: sync.QUOTA_BYTES_PER_ITEM || 8192,
+      maxItems: sync.MAX_ITEMS || 512
+    };
+  }
+
+  // Size of an item the way Chrome counts it: the key plus the value as JSON, in bytes
+  getItemSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  // Syncs after changes on either side. Register at worker start, so changes made while the
+  // worker was asleep still wake it.
+  listen() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' ||
+        (areaName === 'local' && (changes[SETTINGS_STORAGE_KEY] || changes[LIKED_AUTHORS_STORAGE_KEY]))) {
+        this.schedule();
+      }
+    });
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.sync(), SYNC_DELAY_MS);
+  }
+
+  // Runs one sync after any still going, so two never interleave. A failed run doesn't stop
+  // the ones queued after it.
+  sync() {
+    const run = this.running.catch(() => {}).then(() => this.run());
+    this.running = run;
+    return run;
+  }
+
+  async run() {
+    try {
+      await Promise.all([this.settings.load(), this.likedAuthors.load()]);
+      if (!this.settings.get('syncEnabled')) return;
+
+      const result = await chrome.storage.local.get(SYNC_STATUS_KEY);
+      const base = (result[SYNC_STATUS_KEY] || {}).base || {};
+      const remote = await this.getRemote();
+      const local = {
+        settings: this.getSyncedSettings(this.settings.getAll()),
+        likedAuthors: this.likedAuthors.list()
+      };
+
+      const settings = this.reconcile(local.settings, remote.settings, base.settings,
+        () => this.backup.mergeSettings(local.settings, remote.settings).values);
+      const likedAuthors = this.reconcile(local.likedAuthors, remote.likedAuthors, base.likedAuthors,
+        () => this.backup.mergeLikedAuthors(local.likedAuthors, remote.likedAuthors).profiles);
+
+      if (!this.isSame(settings, local.settings)) {
+        await this.settings.set(settings);
+      }
+      if (!this.isSame(likedAuthors, local.likedAuthors)) {
+        await this.likedAuthors.replace(likedAuthors);
+      }
+
+      await this.push({ settings, likedAuthors: this.likedAuthors.list() }, remote.stored);
+      await this.setStatus({ base: { settings, likedAuthors: this.likedAuthors.list() }, error: null });
+    } catch (error) {
+      console.error('Failed to sync:', error);
+      await this.setStatus({ error: error.message });
+
+      // Write limits reset within the hour; try again in a minute
+      if (/MAX_WRITE_OPERATIONS/.test(error.message)) {
+        chrome.alarms.create(SYNC_RETRY_ALARM, { delayInMinutes: 1 });
+      }
+    }
+  }
+
+  // Three-way choice for one kind of data. Missing synced data means nothing to take over yet;
+  // data whose items are only partly written is skipped until the rest arrives.
+  reconcile(local, remote, base, merge) {
+    if (remote === undefined || remote === null || this.isSame(local, remote)) return local;
+    if (base === undefined) return merge(); // First sync on this computer
+    if (this.isSame(local, base)) return remote;
+    if (this.isSame(remote, base)) return local;
+    return merge();
+  }
+
+  isSame(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // Synced settings never include this computer's own; values from other versions are checked
+  getSyncedSettings(values) {
+    const settings = this.settings.sanitize(values);
+    SYNC_LOCAL_ONLY_SETTINGS.forEach(key => delete settings[key]);
+    return settings;
+  }
+
+  // What's in chrome.storage.sync. Each kind of data is null when missing and undefined while
+  // another computer's write is only partly through.
+  async getRemote() {
+    const stored = await chrome.storage.sync.get(null);
+    const count = stored[SYNC_LIKED_AUTHORS_COUNT_KEY];
+    let likedAuthors = null;
+    if (Number.isInteger(count)) {
+      const chunks = Array.from({ length: count }, (_, i) => stored[SYNC_LIKED_AUTHORS_PREFIX + i]);
+      likedAuthors = chunks.every(chunk => Array.isArray(chunk)) ? chunks.flat() : undefined;
+    }
+    return {
+      stored,
+      settings: stored[SYNC_SETTINGS_KEY] ? this.getSyncedSettings(stored[SYNC_SETTINGS_KEY]) : null,
+      likedAuthors
+    };
+  }
+
+  // Profiles packed into as few items as fit, in priority order
+  getItems({ settings, likedAuthors }) {
+    const { perItem } = this.getQuota();
+    const chunks = [[]];
+    for (const profile of likedAuthors) {
+      const chunk = chunks[chunks.length - 1];
+      const key = SYNC_LIKED_AUTHORS_PREFIX + (chunks.length - 1);
+      if (chunk.length > 0 && this.getItemSize(key, [...chunk, profile]) > perItem) {
+        chunks.push([profile]);
+      } else {
+        chunk.push(profile);
+      }
+    }
+
+    const items = { [SYNC_SETTINGS_KEY]: settings, [SYNC_LIKED_AUTHORS_COUNT_KEY]: chunks.length };
+    chunks.forEach((chunk, i) => {
+      items[SYNC_LIKED_AUTHORS_PREFIX + i] = chunk;
+    });
+    return items;
+  }
+
+  // Writes the items that differ from what's stored, after checking they fit
+  async push(data, stored) {
+    const items = this.getItems(data);
+    const quota = this.getQuota();
+
+    if (Object.entries(items).some(([key, value]) => this.getItemSize(key, value) > quota.perItem)) {
+      throw new Error(`A liked author is larger than the ${quota.perItem} bytes sync allows per item`);
+    }
+    const total = Object.entries(items).reduce((sum, [key, value]) => sum + this.getItemSize(key, value), 0);
+    if (total > quota.total || Object.keys(items).length > quota.maxItems) {
+      throw new Error(`Settings and liked authors need ${Math.ceil(total / 1024)} KB, more than the ` +
+        `${Math.floor(quota.total / 1024)} KB sync allows; export a backup to move them instead`);
+    }
+
+    const changed = Object.fromEntries(Object.entries(items)
+      .filter(([key, value]) => !this.isSame(stored[key], value)));
+    const stale = Object.keys(stored)
+      .filter(key => key.startsWith(SYNC_LIKED_AUTHORS_PREFIX) && !(key in items));
+
+    if (Object.keys(changed).length > 0) {
+      await chrome.storage.sync.set(changed);
+    }
+    if (stale.length > 0) {
+      await chrome.storage.sync.remove(stale);
+    }
+  }
+
+  // The data both sides last agreed on, the last sync time and the last error, which the
+  // options page shows
+  async setStatus(fields) {
+    const result = await chrome.storage.local.get(SYNC_STATUS_KEY);
+    const status = { ...(result[SYNC_STATUS_KEY] || {}), ...fields };
+    if (!fields.error) {
+      status.lastSyncedAt = Date.now();
+    }
+    await chrome.storage.local.set({ [SYNC_STATUS_KEY]: status });
+  }
+}
@@ -0,0 +1,83 @@
+// ArXiv Tab Enhancer Title Guard
+// Keeps a page's title on the one the extension set. arXiv's pages and Chrome's PDF viewer
+// rewrite document.title while they load, sometimes long after; one MutationObserver on the
+// head sees the title change or a new <title> arrive and puts ours back. A page that keeps
+// fighting gets answered with growing delays instead of a tight loop, and once it has been
+// quiet for a while the delay starts over. Nothing runs while the title stays put.
+
+// First restore is immediate, then each one waits twice as long, up to the maximum
+const TITLE_GUARD_MIN_DELAY_MS = 100;
+const TITLE_GUARD_MAX_DELAY_MS = 10000;
+
+// A page that leaves the title alone this long is treated as settled
+const TITLE_GUARD_QUIET_MS = 30000;
+
+class ArxivTitleGuard {
+  constructor() {
+    this.title = null;
+    this.observer = null;
+    this.timer = null;
+    this.delay = 0;
+    this.lastRestoredAt = 0;
+  }
+
+  // Sets the title and keeps it. Calling again switches to the new title on the same observer.
+  guard(title) {
+    if (!title) return;
+
+    this.title = title;
+    this.delay = 0;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.apply();
+
+    if (!this.observer) {
+      this.observer = new MutationObserver(() => this.check());
+      this.observer.observe(document.head || document.documentElement, {
+        childList: true,
+        characterData: true,
+        subtree: true
+      });
+    }
+  }
+
+  // Setting document.title replaces the <title> text, or adds a <title> when there is none
+  apply() {
+    if (document.title !== this.title) {
+      document.title = this.title;
+    }
+  }
+
+  check() {
+    if (!this.title || this.timer || document.title === this.title) return;
+
+    // A reloaded or removed extension leaves this script behind with no way to reach it
+    if (!chrome.runtime || !chrome.runtime.id) {
+      this.stop();
+      return;
+    }
+
+    const now = Date.now();
+    if (now - this.lastRestoredAt > TITLE_GUARD_QUIET_MS) {
+      this.delay = 0;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.lastRestoredAt = Date.now();
+      this.delay = Math.min(Math.max(this.delay * 2, TITLE_GUARD_MIN_DELAY_MS), TITLE_GUARD_MAX_DELAY_MS);
+      this.apply();
+    }, this.delay);
+  }
+
+  // Stops watching and leaves the title as it is
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.title = null;
+  }
+}
@@ -0,0 +1,122 @@
+// ArXiv Tab Enhancer Title Templates
+// Builds tab titles from a user-defined template such as "{author} {year} · {title}"
+
+const DEFAULT_TITLE_TEMPLATE = '[{cat}] {author}: {title}';
+
+// Tokens available in title templates, shown as help text in the popup
+const TITLE_TEMPLATE_TOKENS = {
+  title: 'Paper title',
+  author: 'Short name of the grouping author (e.g. Vaswani)',
+  authors: 'All authors, shortened (e.g. Vaswani et al.)',
+  cat: 'Primary category (e.g. cs)',
+  subcat: 'Full subcategory (e.g. cs.CL)',
+  id: 'ArXiv ID (e.g. 1706.03762)',
+  version: 'Version, if the URL names one (e.g. v2)',
+  year: 'Submission year (e.g. 2017)',
+  kind: 'Page kind (abs or pdf)'
+};
+
+const TITLE_TEMPLATE_PRESETS = [
+  DEFAULT_TITLE_TEMPLATE,
+  '{author} {year} · {title}',
+  '{id} {title}',
+  '[{subcat}] {authors}: {title}',
+  '{title} ({kind})'
+];
+
+// Paper used to preview templates when no ArXiv tab is at hand
+const SAMPLE_PAPER = {
+  id: '1706.03762',
+  title: 'Attention Is All You Need',
+  authorsList: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar'],
+  firstAuthor: 'Ashish Vaswani',
+  category: 'Computation and Language (cs.CL)',
+  url: 'https://arxiv.org/abs/1706.03762v7'
+};
+
+class ArxivTitleBuilder {
+  constructor(template = DEFAULT_TITLE_TEMPLATE, maxLength = 60) {
+    this.template = template || DEFAULT_TITLE_TEMPLATE;
+    this.maxLength = maxLength;
+    this.idParser = new ArxivIdParser();
+    this.authorMatcher = new ArxivAuthorMatcher();
+  }
+
+  build(paperData, url = paperData?.url) {
+    if (!paperData || !paperData.title) return null;
+
+    const tokens = this.getTokens(paperData, url);
+    let title = this.render(tokens);
+
+    // Truncate the paper title (not the surrounding tokens) so the whole string fits
+    if (this.maxLength && title.length > this.maxLength) {
+      const overflow = title.length - this.maxLength + 3;
+      const shortTitle = tokens.title.substring(0, Math.max(tokens.title.length - overflow, 10)).trim() + '...';
+      title = this.render({ ...tokens, title: shortTitle });
+    }
+
+    return title;
+  }
+
+  render(tokens) {
+    return this.template
+      .replace(/\{(\w+)\}/g, (match, name) => (name in tokens ? tokens[name] : match))
+      .replace(/\[\s*\]|\(\s*\)/g, '') // Drop brackets left empty by missing tokens
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s:·\-|]+|[\s:·\-|]+$/g, '')
+      .trim();
+  }
+
+  getTokens(paperData, url) {
+    const subcat = this.getSubcategory(paperData.category);
+
+    return {
+      title: paperData.title || '',
+      author: this.getShortAuthorName(paperData.firstAuthor),
+      authors: this.getAuthorsEtAl(paperData.authorsList),
+      cat: subcat.split('.')[0],
+      subcat: subcat,
+      id: this.idParser.getPaperId(paperData.id) || paperData.id || '',
+      version: this.getVersion(paperData.id, url),
+      year: this.getYear(paperData.id),
+      kind: this.getPageKind(url)
+    };
+  }
+
+  // Family name, parsed the way author matching parses it (see authors.js)
+  getShortAuthorName(fullName) {
+    return this.authorMatcher.getFamilyName(fullName);
+  }
+
+  getAuthorsEtAl(authorsList) {
+    if (!authorsList || authorsList.length === 0) return '';
+
+    const first = this.getShortAuthorName(authorsList[0]);
+    if (authorsList.length === 1) return first;
+    if (authorsList.length === 2) return `${first} & ${this.getShortAuthorName(authorsList[1])}`;
+    return `${first} et al.`;
+  }
+
+  getSubcategory(category) {
+    return this.idParser.getSubjectCode(category);
+  }
+
+  getVersion(paperId, url) {
+    // Prefer the version named in the tab URL, then the one recorded with the paper
+    const parsed = this.idParser.parse(url) || this.idParser.parse(paperId);
+    return parsed && parsed.version ? `v${parsed.version}` : '';
+  }
+
+  getYear(paperId) {
+    // New-style IDs start with YYMM (2301.00001), old-style ones end with YYMMNNN (hep-th/9901001)
+    const parsed = this.idParser.parse(paperId);
+    if (!parsed) return '';
+
+    const yy = parseInt(parsed.archive ? parsed.id.split('/')[1].substring(0, 2) : parsed.id.substring(0, 2), 10);
+    return String(yy >= 91 ? 1900 + yy : 2000 + yy);
+  }
+
+  getPageKind(url) {
+    return this.idParser.getPageKind(url);
+  }
+}
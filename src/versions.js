@@ -0,0 +1,49 @@
+// ArXiv Tab Enhancer Version Tracking
+// Cache records remember the highest version of a paper that was opened (versionSeen) and the
+// newest version arXiv is known to have (latestVersion). The background compares the two.
+// Every cache write goes through mergeRecord so these fields survive later writes.
+
+const VERSION_CHECK_ALARM = 'checkNewVersions';
+
+class ArxivVersionTracker {
+  constructor() {
+    this.idParser = new ArxivIdParser();
+  }
+
+  // A record about to overwrite an existing cache entry. Fields the new data doesn't have
+  // (null, or an empty list), like the abstract or when the paper was last opened, are kept. Both versions only go up,
+  // so reopening an old version keeps the notice for the newer one.
+  mergeRecord(existing, paperData) {
+    const highest = (...versions) => {
+      const known = versions.filter(version => Number.isInteger(version));
+      return known.length > 0 ? Math.max(...known) : null;
+    };
+    const previous = existing || {};
+    const provided = Object.fromEntries(
+      Object.entries(paperData).filter(([, value]) =>
+        value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+    );
+
+    const versionSeen = highest(previous.versionSeen, paperData.versionSeen);
+    return {
+      ...previous,
+      ...provided,
+      versionSeen: versionSeen,
+      latestVersion: highest(previous.latestVersion, paperData.latestVersion, versionSeen)
+    };
+  }
+
+  // The version a URL shows: the one it names, or the latest for unversioned URLs
+  getVersionShown(url, latestVersion) {
+    const parsed = this.idParser.parse(url);
+    if (parsed && parsed.version) return parsed.version;
+    return Number.isInteger(latestVersion) ? latestVersion : null;
+  }
+
+  hasNewerVersion(record) {
+    return !!record &&
+      Number.isInteger(record.versionSeen) &&
+      Number.isInteger(record.latestVersion) &&
+      record.latestVersion > record.versionSeen;
+  }
+}
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { ArxivIdParser } = loadScripts(['src/arxiv-id.js']);
+const parser = new ArxivIdParser();
+
+test('every URL form and version of a new-style paper gives one canonical ID', () => {
+  const inputs = [
+    '1706.03762',
+    '1706.03762v7',
+    'arXiv:1706.03762v2',
+    'https://arxiv.org/abs/1706.03762',
+    'https://arxiv.org/abs/1706.03762v7',
+    'https://arxiv.org/pdf/1706.03762v7',
+    'https://arxiv.org/pdf/1706.03762.pdf',
+    'https://www.arxiv.org/abs/1706.03762?context=cs',
+    'http://export.arxiv.org/abs/1706.03762#comments',
+    'https://arxiv.org/html/1706.03762v7/'
+  ];
+  for (const input of inputs) {
+    assert.equal(parser.getPaperId(input), '1706.03762', input);
+  }
+});
+
+test('parse reports version, page kind and archive', () => {
+  assert.deepEqual(parser.parse('https://arxiv.org/pdf/2301.00001v2'), {
+    id: '2301.00001',
+    version: 2,
+    versionedId: '2301.00001v2',
+    archive: null,
+    kind: 'pdf'
+  });
+  assert.deepEqual(parser.parse('https://arxiv.org/abs/math.GT/0309136v1'), {
+    id: 'math/0309136',
+    version: 1,
+    versionedId: 'math/0309136v1',
+    archive: 'math',
+    kind: 'abs'
+  });
+});
+
+test('old-style IDs drop the subject class', () => {
+  assert.equal(parser.getPaperId('hep-th/9711200'), 'hep-th/9711200');
+  assert.equal(parser.getPaperId('https://arxiv.org/pdf/hep-th/9711200v3'), 'hep-th/9711200');
+  assert.equal(parser.getPaperId('math.GT/0309136'), 'math/0309136');
+});
+
+test('anything that is not a paper gives null', () => {
+  const inputs = [
+    null,
+    '',
+    'hello',
+    '1706.037',
+    'https://arxiv.org/list/cs.CL/new',
+    'https://arxiv.org/a/vaswani_a_1',
+    'https://example.com/abs/1706.03762',
+    'ftp://arxiv.org/abs/1706.03762'
+  ];
+  for (const input of inputs) {
+    assert.equal(parser.getPaperId(input), null, String(input));
+  }
+});
+
+test('only abs and pdf pages are paper tabs', () => {
+  assert.equal(parser.isPaperUrl('https://arxiv.org/abs/1706.03762'), true);
+  assert.equal(parser.isPaperUrl('https://arxiv.org/pdf/1706.03762v7'), true);
+  assert.equal(parser.isPaperUrl('https://arxiv.org/html/1706.03762v7'), false);
+  assert.equal(parser.isPaperUrl('1706.03762'), false);
+});
+
+test('getPageKind names the page, and nothing for bare IDs', () => {
+  assert.equal(parser.getPageKind('https://arxiv.org/pdf/1706.03762v7'), 'pdf');
+  assert.equal(parser.getPageKind('https://arxiv.org/abs/hep-th/9711200'), 'abs');
+  assert.equal(parser.getPageKind('1706.03762'), '');
+  assert.equal(parser.getPageKind('https://example.com/'), '');
+});
+
+test('subject codes come out of printed subject names', () => {
+  assert.equal(parser.getSubjectCode('Computation and Language (cs.CL)'), 'cs.CL');
+  assert.equal(parser.getSubjectCode('High Energy Physics - Theory (hep-th)'), 'hep-th');
+  assert.equal(parser.getSubjectCode('cs.LG'), 'cs.LG');
+  assert.equal(parser.getSubjectCode(null), '');
+  assert.deepEqual(
+    parser.getSubjectCodes('Computation and Language (cs.CL); Machine Learning (cs.LG); Computation and Language (cs.CL)'),
+    ['cs.CL', 'cs.LG']
+  );
+});
+
+test('getUrl builds page URLs', () => {
+  assert.equal(parser.getUrl('1706.03762'), 'https://arxiv.org/abs/1706.03762');
+  assert.equal(parser.getUrl('hep-th/9711200', 'pdf', 3), 'https://arxiv.org/pdf/hep-th/9711200v3');
+});
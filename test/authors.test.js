@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { ArxivAuthorMatcher } = loadScripts(['src/authors.js']);
+const matcher = new ArxivAuthorMatcher();
+
+test('family names as written, for titles and group names', () => {
+  assert.equal(matcher.getFamilyName('Ashish Vaswani'), 'Vaswani');
+  assert.equal(matcher.getFamilyName('Yann LeCun'), 'LeCun');
+  assert.equal(matcher.getFamilyName('LeCun, Yann'), 'LeCun');
+  assert.equal(matcher.getFamilyName('Laurens van der Maaten'), 'van der Maaten');
+  assert.equal(matcher.getFamilyName('Martin Luther King Jr.'), 'King');
+  assert.equal(matcher.getFamilyName('Plato'), 'Plato');
+});
+
+test('splitName separates given names, family name and suffix', () => {
+  assert.deepEqual(matcher.splitName('J.-P. Serre'), { given: ['J', '-P'], family: ['Serre'], suffix: [] });
+  assert.deepEqual(matcher.splitName('King, Jr., Martin Luther'), { given: ['Martin', 'Luther'], family: ['King'], suffix: ['Jr.'] });
+  assert.deepEqual(matcher.splitName('Y. LeCun', { asWritten: true }), { given: ['Y.'], family: ['LeCun'], suffix: [] });
+});
+
+test('getNameParts splits off lowercase particles and suffixes for citations', () => {
+  assert.deepEqual(matcher.getNameParts('Laurens van der Maaten'), { given: 'Laurens', particle: 'van der', family: 'Maaten', suffix: '' });
+  assert.deepEqual(matcher.getNameParts('Martin Luther King, Jr.'), { given: 'Martin Luther', particle: '', family: 'King', suffix: 'Jr.' });
+  assert.deepEqual(matcher.getNameParts('Vincent Van Gogh'), { given: 'Vincent', particle: '', family: 'Van Gogh', suffix: '' });
+});
+
+test('one name key per person however the name is written', () => {
+  const key = matcher.getNameKey('Yann LeCun');
+  assert.equal(key, 'lecun y');
+  assert.equal(matcher.getNameKey('Y. LeCun'), key);
+  assert.equal(matcher.getNameKey('LeCun, Yann'), key);
+  assert.equal(matcher.getNameKey('Łukasz Kaiser'), matcher.getNameKey('Lukasz Kaiser'));
+});
+
+test('whole names match, substrings do not', () => {
+  assert.equal(matcher.isMatch('Wei Li', 'Li'), true);
+  assert.equal(matcher.isMatch('Lin Yang', 'Li'), false);
+  assert.equal(matcher.isMatch('Joana Oliveira', 'Li'), false);
+  assert.equal(matcher.isMatch('Yann LeCun', 'Y. LeCun'), true);
+  assert.equal(matcher.isMatch('Yann LeCun', 'LeCun, Yann'), true);
+  assert.equal(matcher.isMatch('Yann LeCun', 'Zoe LeCun'), false);
+  assert.equal(matcher.isMatch('Jean-Pierre Serre', 'J.-P. Serre'), true);
+  assert.equal(matcher.isMatch('Laurens van der Maaten', 'Maaten'), true);
+});
+
+test('accents are ignored when matching', () => {
+  assert.equal(matcher.isMatch('Jürgen Schmidhuber', 'Jurgen Schmidhuber'), true);
+  assert.equal(matcher.isMatch('Łukasz Kaiser', 'Lukasz Kaiser'), true);
+});
+
+test('umlauts match their spelled-out form, plain vowels followed by e do not', () => {
+  assert.equal(matcher.isMatch('Thomas Müller', 'Thomas Mueller'), true);
+  assert.equal(matcher.isMatch('Jürgen Schmidhuber', 'Juergen Schmidhuber'), true);
+  assert.equal(matcher.isMatch('Lea Goetz', 'Lea Götz'), true);
+  assert.equal(matcher.isMatch('Jie Xue', 'Jie Xu'), false);
+  assert.equal(matcher.isMatch('Yang Yue', 'Yang Yu'), false);
+  assert.equal(matcher.isMatch('Joel Smith', 'Jol Smith'), false);
+});
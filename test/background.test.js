@@ -0,0 +1,214 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+const { startBackground, sendFromTab, settle } = require('./helpers/start-background');
+
+const paper = (id, firstAuthor = 'Ashish Vaswani') => ({
+  id,
+  title: `Paper ${id}`,
+  authorsList: [firstAuthor, 'Noam Shazeer'],
+  firstAuthor,
+  category: 'Computation and Language (cs.CL)'
+});
+
+test('concurrent reports for the same author share one group', async () => {
+  const { chrome, manager } = await startBackground({
+    tabs: [
+      { id: 1, url: 'https://arxiv.org/abs/1706.03762' },
+      { id: 2, url: 'https://arxiv.org/pdf/1706.03765' }
+    ]
+  });
+
+  await Promise.all([
+    manager.manageAuthorGrouping(1, paper('1706.03762')),
+    manager.manageAuthorGrouping(2, paper('1706.03765'))
+  ]);
+
+  assert.equal(chrome.browser.groups.length, 1);
+  assert.equal(chrome.browser.groups[0].title, 'Vaswani');
+  assert.deepEqual(chrome.browser.tabs.map(tab => tab.groupId), [chrome.browser.groups[0].id, chrome.browser.groups[0].id]);
+  assert.equal(manager.authorGroups.get('author:vaswani a'), chrome.browser.groups[0].id);
+});
+
+test('a content script\'s title and grouping messages from two tabs make one group', async () => {
+  const { chrome } = await startBackground({
+    tabs: [
+      { id: 1, url: 'https://arxiv.org/abs/1706.03762' },
+      { id: 2, url: 'https://arxiv.org/abs/1706.03765' }
+    ]
+  });
+
+  const reports = [];
+  for (const [tabId, paperId] of [[1, '1706.03762'], [2, '1706.03765']]) {
+    const paperData = paper(paperId);
+    reports.push(sendFromTab(chrome, tabId, { action: 'updateTabTitle', title: paperData.title, paperData }));
+    reports.push(sendFromTab(chrome, tabId, { action: 'createAuthorGroup', title: paperData.title, paperData }));
+  }
+  await Promise.all(reports);
+
+  assert.equal(chrome.browser.groups.length, 1);
+  assert.ok(chrome.browser.tabs.every(tab => tab.groupId === chrome.browser.groups[0].id));
+});
+
+test('different authors still get their own groups', async () => {
+  const { chrome, manager } = await startBackground({
+    tabs: [
+      { id: 1, url: 'https://arxiv.org/abs/1706.03762' },
+      { id: 2, url: 'https://arxiv.org/abs/2310.06825' }
+    ]
+  });
+
+  await Promise.all([
+    manager.manageAuthorGrouping(1, paper('1706.03762')),
+    manager.manageAuthorGrouping(2, paper('2310.06825', 'Albert Q. Jiang'))
+  ]);
+
+  assert.deepEqual(chrome.browser.groups.map(group => group.title).sort(), ['Jiang', 'Vaswani']);
+  assert.notEqual(chrome.browser.groups[0].color, chrome.browser.groups[1].color);
+});
+
+test('a restarted worker adds to the group it registered before', async () => {
+  const first = await startBackground({ tabs: [{ id: 1, url: 'https://arxiv.org/abs/1706.03762' }] });
+  await first.manager.manageAuthorGrouping(1, paper('1706.03762'));
+  const [group] = first.chrome.browser.groups;
+
+  // The new worker finds the registry in session storage and the group still open
+  const { chrome, manager } = await startBackground({
+    session: first.chrome.storage.session.dump(),
+    tabs: [
+      { id: 1, url: 'https://arxiv.org/abs/1706.03762', groupId: group.id },
+      { id: 2, url: 'https://arxiv.org/abs/1706.03765' }
+    ],
+    groups: [group]
+  });
+  await manager.manageAuthorGrouping(2, paper('1706.03765'));
+
+  assert.equal(chrome.browser.groups.length, 1);
+  assert.equal(chrome.browser.tabs[1].groupId, group.id);
+});
+
+test('a tab moved by hand stays where the user put it', async () => {
+  const { chrome, manager } = await startBackground({
+    tabs: [
+      { id: 1, url: 'https://arxiv.org/abs/1706.03762' },
+      { id: 2, url: 'https://arxiv.org/abs/1706.03765' },
+      { id: 3, url: 'https://arxiv.org/abs/2310.06825' }
+    ]
+  });
+  await manager.manageAuthorGrouping(1, paper('1706.03762'));
+  await manager.manageAuthorGrouping(2, paper('1706.03765'));
+  await manager.manageAuthorGrouping(3, paper('2310.06825', 'Albert Q. Jiang'));
+  const [vaswaniGroup, jiangGroup] = chrome.browser.groups.map(group => group.id);
+
+  await manager.moveTabToGroup(1, String(jiangGroup));
+  await manager.moveTabToGroup(2, 'none');
+
+  // Reloading reports the tabs again
+  await manager.manageAuthorGrouping(1, paper('1706.03762'));
+  await manager.manageAuthorGrouping(2, paper('1706.03765'));
+  assert.equal(chrome.browser.tabs[0].groupId, jiangGroup);
+  assert.equal(chrome.browser.tabs[1].groupId, chrome.tabGroups.TAB_GROUP_ID_NONE);
+  assert.ok(!chrome.browser.groups.some(group => group.id === vaswaniGroup)); // Emptied by the moves
+  assert.deepEqual(chrome.storage.session.dump().groupRegistry.userPlacedTabs, [[1, '1706.03762'], [2, '1706.03765']]);
+});
+
+test('a placed tab that goes on to another paper is grouped again', async () => {
+  const { chrome, manager } = await startBackground({ tabs: [{ id: 1, url: 'https://arxiv.org/abs/1706.03762' }] });
+  await manager.moveTabToGroup(1, 'none');
+
+  // Another version of the same paper is still the user's tab
+  chrome.tabs.onUpdated.dispatch(1, { url: 'https://arxiv.org/pdf/1706.03762v2' }, { id: 1, url: 'https://arxiv.org/pdf/1706.03762v2' });
+  await settle();
+  assert.ok(manager.userPlacedTabs.has(1));
+
+  chrome.browser.tabs[0].url = 'https://arxiv.org/abs/2310.06825';
+  chrome.tabs.onUpdated.dispatch(1, { url: 'https://arxiv.org/abs/2310.06825' }, { id: 1, url: 'https://arxiv.org/abs/2310.06825' });
+  await settle();
+  assert.ok(!manager.userPlacedTabs.has(1));
+
+  await manager.manageAuthorGrouping(1, paper('2310.06825', 'Albert Q. Jiang'));
+  assert.equal(chrome.browser.groups[0].title, 'Jiang');
+  assert.equal(chrome.browser.tabs[0].groupId, chrome.browser.groups[0].id);
+});
+
+const savedSession = {
+  id: 'session_1',
+  name: 'Transformers',
+  tabs: [
+    { paperId: '1706.03762', kind: 'abs', version: null, group: 0 },
+    { paperId: '1706.03765', kind: 'pdf', version: 2, group: 0 },
+    { paperId: '2310.06825', kind: 'abs', version: null, group: null }
+  ],
+  groups: [{ key: 'author:vaswani a', title: 'Vaswani', color: 'cyan', collapsed: true }],
+  createdAt: 1,
+  updatedAt: 1
+};
+
+test('a restored session rebuilds its groups and leaves ungrouped tabs to the strategy', async () => {
+  const { chrome, manager } = await startBackground({ local: { researchSessions: { session_1: savedSession } } });
+
+  const result = await manager.restoreSession('session_1');
+  const [first, second, third] = chrome.browser.tabs;
+  const [group] = chrome.browser.groups;
+
+  assert.deepEqual(result, { windowId: first.windowId, total: 3, groups: 1 });
+  assert.deepEqual(chrome.browser.tabs.map(tab => tab.url), [
+    'https://arxiv.org/abs/1706.03762',
+    'https://arxiv.org/pdf/1706.03765v2',
+    'https://arxiv.org/abs/2310.06825'
+  ]);
+  assert.deepEqual([group.title, group.color, group.collapsed], ['Vaswani', 'cyan', true]);
+  assert.deepEqual([first.groupId, second.groupId, third.groupId], [group.id, group.id, chrome.tabGroups.TAB_GROUP_ID_NONE]);
+  assert.equal(manager.authorGroups.get('author:vaswani a'), group.id);
+
+  // The content scripts report in: grouped tabs stay put, the ungrouped one is grouped
+  await manager.manageAuthorGrouping(third.id, paper('2310.06825', 'Albert Q. Jiang'));
+  assert.deepEqual(manager.userPlacedTabs, new Map([[first.id, '1706.03762'], [second.id, '1706.03765']]));
+  assert.equal(chrome.browser.groups[1].title, 'Jiang');
+  assert.equal(third.groupId, chrome.browser.groups[1].id);
+});
+
+test('restoring a session keeps the open group registered for its key', async () => {
+  const { chrome, manager } = await startBackground({
+    local: { researchSessions: { session_1: savedSession } },
+    tabs: [{ id: 1, url: 'https://arxiv.org/abs/1607.06450' }]
+  });
+  await manager.manageAuthorGrouping(1, paper('1607.06450'));
+  const [openGroup] = chrome.browser.groups;
+
+  await manager.restoreSession('session_1');
+
+  assert.equal(chrome.browser.groups.length, 2);
+  assert.equal(manager.authorGroups.get('author:vaswani a'), openGroup.id);
+  assert.equal(manager.tabAuthors.get(1), 'author:vaswani a');
+
+  // New papers by the author still go to the open group
+  const tab = await chrome.tabs.create({ url: 'https://arxiv.org/abs/1706.03765' });
+  await manager.manageAuthorGrouping(tab.id, paper('1706.03765'));
+  assert.equal(chrome.browser.tabs.find(candidate => candidate.id === tab.id).groupId, openGroup.id);
+});
+
+test('papers the popup or options page write are not served stale from memory', async () => {
+  const indexedDB = new IDBFactory();
+  const { chrome, manager } = await startBackground({ indexedDB });
+  await manager.cacheData(paper('1706.03762'));
+  assert.equal((await manager.getCachedData('1706.03762')).title, 'Paper 1706.03762');
+
+  // The page's own store on the same database, with its messages going to the worker
+  const pageChrome = createChromeMock({
+    onMessage: message => new Promise(resolve => chrome.runtime.onMessage.dispatch(message, {}, resolve))
+  });
+  const { ArxivPaperStore } = loadScripts(['src/arxiv-id.js', 'src/authors.js', 'src/paper-schema.js', 'src/paper-store.js'],
+    { chrome: pageChrome, indexedDB });
+  const pageStore = new ArxivPaperStore();
+
+  await pageStore.put({ ...paper('1706.03762'), title: 'Attention Is All You Need', timestamp: Date.now() });
+  await settle();
+  assert.equal((await manager.getCachedData('1706.03762')).title, 'Attention Is All You Need');
+
+  await pageStore.clear();
+  await settle();
+  assert.equal(await manager.getCachedData('1706.03762'), null);
+});
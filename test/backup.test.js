@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+const BACKUP_FILES = [
+  'src/arxiv-id.js', 'src/title-template.js', 'src/settings.js', 'src/authors.js', 'src/group-colors.js',
+  'src/liked-authors.js', 'src/library.js', 'src/paper-schema.js', 'src/paper-store.js', 'src/backup.js'
+];
+
+function createBackup(local = {}) {
+  const chrome = createChromeMock({ local });
+  const scripts = loadScripts(BACKUP_FILES, { chrome, indexedDB: new IDBFactory() });
+  return { chrome, backup: new scripts.ArxivBackup() };
+}
+
+const profile = (name, options = {}) => ({
+  id: `author_${name.split(' ').pop().toLowerCase()}`,
+  name,
+  aliases: [],
+  label: '',
+  color: null,
+  grouping: 'auto',
+  ...options
+});
+
+const entry = (id, options = {}) => ({ id, status: 'to-read', priority: 'normal', notes: '', tags: [], savedAt: 1000, updatedAt: 1000, ...options });
+
+const backupOf = (contents) => ({ format: 'arxiv-tab-enhancer-backup', version: 1, exportedAt: '2026-10-01T00:00:00.000Z', ...contents });
+
+test('a merge takes settings left at the default here and keeps ones changed on both sides', async () => {
+  const { chrome, backup } = createBackup({ settings: { titleMaxLength: 80 } });
+  const report = await backup.import(backupOf({
+    settings: { titleMaxLength: 100, groupingStrategy: 'category', cacheTtlDays: 0, removedSetting: true }
+  }));
+
+  const { settings } = await chrome.storage.local.get('settings');
+  assert.equal(settings.titleMaxLength, 80);
+  assert.equal(settings.groupingStrategy, 'category');
+  assert.equal(settings.cacheTtlDays, 30);
+
+  assert.equal(report.settings, 1);
+  assert.deepEqual(report.conflicts, [
+    { section: 'settings', item: 'Maximum title length', field: 'titleMaxLength', local: 80, imported: 100 }
+  ]);
+  assert.deepEqual(report.errors.map(error => error.item), ['cacheTtlDays']);
+});
+
+test('a merge folds liked authors into matching profiles and reports differing options', async () => {
+  const { chrome, backup } = createBackup({ likedAuthors: [profile('Noam Shazeer', { color: 'blue' })] });
+  const report = await backup.import(backupOf({
+    likedAuthors: [
+      profile('N. Shazeer', { aliases: ['Noam Shazir'], color: 'red', label: 'MoE' }),
+      profile('Niki Parmar')
+    ]
+  }));
+
+  const { likedAuthors } = await chrome.storage.local.get('likedAuthors');
+  assert.deepEqual(likedAuthors.map(author => author.name), ['Noam Shazeer', 'Niki Parmar']);
+  // Spellings the profile's name already matches aren't kept as aliases
+  assert.deepEqual(likedAuthors[0].aliases, ['Noam Shazir']);
+  assert.equal(likedAuthors[0].color, 'blue');
+  assert.equal(likedAuthors[0].label, 'MoE');
+
+  assert.equal(report.likedAuthors, 1);
+  assert.deepEqual(report.conflicts, [
+    { section: 'likedAuthors', item: 'Noam Shazeer', field: 'color', local: 'blue', imported: 'red' }
+  ]);
+});
+
+test('a merge adds saved papers, combines tags and keeps the status here', async () => {
+  const { chrome, backup } = createBackup({
+    library: { '1706.03762': entry('1706.03762', { status: 'reading', tags: ['transformers'] }) }
+  });
+  const report = await backup.import(backupOf({
+    library: {
+      '1706.03762v2': entry('1706.03762v2', { status: 'read', notes: 'Read section 3 again', tags: ['attention'] }),
+      '2310.06825': entry('2310.06825'),
+      'not-a-paper': entry('not-a-paper'),
+      '2301.00001': entry('2301.00001', { status: 'finished' })
+    }
+  }));
+
+  const { library } = await chrome.storage.local.get('library');
+  assert.deepEqual(Object.keys(library).sort(), ['1706.03762', '2310.06825']);
+  assert.equal(library['1706.03762'].status, 'reading');
+  assert.equal(library['1706.03762'].notes, 'Read section 3 again');
+  assert.deepEqual(library['1706.03762'].tags, ['transformers', 'attention']);
+
+  assert.equal(report.library, 1);
+  assert.deepEqual(report.conflicts, [
+    { section: 'library', item: '1706.03762', field: 'status', local: 'reading', imported: 'read' }
+  ]);
+  assert.deepEqual(report.errors.map(error => [error.item, error.message]), [
+    ['not-a-paper', 'Not an arXiv paper'],
+    ['2301.00001', 'Unknown status: finished']
+  ]);
+});
+
+test('a merge only adds paper records not cached here', async () => {
+  const { backup } = createBackup();
+  await backup.paperStore.put({ id: '1706.03762', title: 'Attention Is All You Need' });
+
+  const report = await backup.import(backupOf({
+    papers: [
+      { id: '1706.03762', title: 'An older title' },
+      { id: 'https://arxiv.org/abs/2310.06825', title: 'Mistral 7B' }
+    ]
+  }));
+
+  assert.equal(report.papers, 1);
+  const papers = await backup.paperStore.getMany(['1706.03762', '2310.06825']);
+  assert.equal(papers['1706.03762'].title, 'Attention Is All You Need');
+  assert.equal(papers['2310.06825'].title, 'Mistral 7B');
+});
+
+test('a replace takes everything from the backup without conflicts', async () => {
+  const { chrome, backup } = createBackup({
+    settings: { titleMaxLength: 80 },
+    likedAuthors: [profile('Noam Shazeer', { color: 'blue' })],
+    library: { '1706.03762': entry('1706.03762', { status: 'reading' }) }
+  });
+  const report = await backup.import(backupOf({
+    settings: { titleMaxLength: 100 },
+    likedAuthors: [profile('Noam Shazeer', { color: 'red' })],
+    library: { '2310.06825': entry('2310.06825') }
+  }), 'replace');
+
+  const stored = await chrome.storage.local.get(['settings', 'likedAuthors', 'library']);
+  assert.equal(stored.settings.titleMaxLength, 100);
+  assert.deepEqual(stored.likedAuthors.map(author => author.color), ['red']);
+  assert.deepEqual(Object.keys(stored.library), ['2310.06825']);
+  assert.deepEqual(report.conflicts, []);
+});
+
+test('files that are not backups, or are from a newer version, are refused', async () => {
+  const { backup } = createBackup();
+  assert.throws(() => backup.parse('{'), /not valid JSON/);
+  assert.throws(() => backup.parse('{"format":"other"}'), /not an ArXiv Tab Enhancer backup/);
+  assert.throws(() => backup.parse(JSON.stringify(backupOf({ version: 2 }))), /newer version/);
+  await assert.rejects(backup.import(backupOf({}), 'overwrite'), /Unknown import mode: overwrite/);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { ArxivCitationFormatter } = loadScripts(['src/arxiv-id.js', 'src/authors.js', 'src/title-template.js', 'src/citation.js']);
+const formatter = new ArxivCitationFormatter();
+
+const attention = {
+  id: '1706.03762',
+  title: 'Attention Is All You Need',
+  authorsList: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar'],
+  category: 'Computation and Language (cs.CL)'
+};
+
+test('LaTeX special characters are escaped', () => {
+  assert.equal(formatter.escapeLatex('R&D: 50% of #1_a {x} ~ ^ \\'), 'R\\&D: 50\\% of \\#1\\_a \\{x\\} \\textasciitilde{} \\textasciicircum{} \\textbackslash{}');
+});
+
+test('accents become accent commands on their letter', () => {
+  assert.equal(formatter.escapeLatex('Müller'), 'M{\\"u}ller');
+  assert.equal(formatter.escapeLatex('Dvořák'), 'Dvo{\\v{r}}{\\\'a}k');
+  assert.equal(formatter.escapeLatex('Íñigo Ñíguez'), '{\\\'I}{\\~n}igo {\\~N}{\\\'\\i}guez');
+  assert.equal(formatter.escapeLatex('Çağlar Gülçehre'), '{\\c{C}}a{\\u{g}}lar G{\\"u}l{\\c{c}}ehre');
+  assert.equal(formatter.escapeLatex('Łukasz Groß'), '{\\L}ukasz Gro{\\ss}');
+});
+
+test('stacked diacritics are all applied to the base letter', () => {
+  assert.equal(formatter.escapeLatex('Paul Erdős'), 'Paul Erd{\\H{o}}s');
+  assert.equal(formatter.escapeLatex('Nguyễn'), 'Nguy{\\~{\\^e}}n');
+  assert.equal(formatter.escapeLatex('Lệ'), 'L{\\^{\\d{e}}}');
+});
+
+test('math in titles is left as written', () => {
+  assert.equal(
+    formatter.escapeLatex('$O(n^2)$ attention über 50% faster', { keepMath: true }),
+    '$O(n^2)$ attention {\\"u}ber 50\\% faster'
+  );
+});
+
+test('cite keys come from the paper and only collisions get a letter', () => {
+  const sameKey = { ...attention, id: '1706.99999' };
+  const keys = formatter.assignCiteKeys([attention, sameKey, { ...sameKey, id: '1706.99998' }]).map(paper => paper.citeKey);
+  assert.deepEqual(keys, ['vaswani2017attention', 'vaswani2017attentionb', 'vaswani2017attentionc']);
+
+  // Alone in another export the paper keeps its key
+  assert.equal(formatter.assignCiteKeys([attention])[0].citeKey, 'vaswani2017attention');
+});
+
+test('cite keys skip stop words and fold accents, keeping name particles', () => {
+  const paper = { id: '2301.00001', title: 'On the Erdős Problem', authorsList: ['Laurens van der Maaten'] };
+  assert.equal(formatter.getCiteKey(paper), 'vandermaaten2023erdos');
+  assert.equal(formatter.getCiteKey({ ...paper, authorsList: ['Paul Erdős'] }), 'erdos2023erdos');
+});
+
+test('BibTeX entries carry the arXiv fields and inverted, escaped names', () => {
+  const paper = { ...attention, authorsList: ['Nguyễn Văn Lệ', 'Martin Luther King Jr.'] };
+  assert.equal(formatter.format([paper], 'bibtex'), [
+    '@misc{le2017attention,',
+    '  title = {{Attention Is All You Need}},',
+    '  author = {L{\\^{\\d{e}}}, Nguy{\\~{\\^e}}n V{\\u{a}}n and King, Jr., Martin Luther},',
+    '  year = {2017},',
+    '  eprint = {1706.03762},',
+    '  archivePrefix = {arXiv},',
+    '  primaryClass = {cs.CL},',
+    '  doi = {10.48550/arXiv.1706.03762},',
+    '  url = {https://arxiv.org/abs/1706.03762}',
+    '}'
+  ].join('\n'));
+});
+
+test('CSL-JSON splits particles and suffixes out of names', () => {
+  const paper = { ...attention, authorsList: ['Laurens van der Maaten', 'Martin Luther King Jr.'] };
+  const [record] = JSON.parse(formatter.format([paper], 'csl'));
+
+  assert.deepEqual(record.author, [
+    { family: 'Maaten', given: 'Laurens', 'non-dropping-particle': 'van der' },
+    { family: 'King', given: 'Martin Luther', suffix: 'Jr.' }
+  ]);
+  assert.deepEqual(record.issued, { 'date-parts': [[2017, 6]] });
+  assert.equal(record.id, 'vandermaaten2017attention');
+});
+
+test('RIS and Markdown list each paper once', () => {
+  const ris = formatter.format([attention, attention], 'ris');
+  assert.equal(ris.match(/^TY {2}- UNPB$/gm).length, 1);
+  assert.match(ris, /^AU {2}- Vaswani, Ashish$/m);
+  assert.match(ris, /^ER {2}-$/m);
+
+  assert.equal(
+    formatter.format([attention], 'markdown'),
+    '- [Attention Is All You Need](https://arxiv.org/abs/1706.03762) — Vaswani et al., 2017 (arXiv:1706.03762)'
+  );
+});
+
+test('an unknown format is an error', () => {
+  assert.throws(() => formatter.format([attention], 'docx'), /Unknown citation format: docx/);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadScripts, getContentScriptFiles, readFixture } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+const quietConsole = { log() {}, warn() {}, error() {}, debug() {} };
+
+// Timers the content script leaves running must not keep the test process alive
+const unrefTimeout = (callback, delay, ...args) => {
+  const timer = setTimeout(callback, delay, ...args);
+  timer.unref();
+  return timer;
+};
+
+// Runs the content scripts, as the manifest lists them, on a fixture page at url
+function runContentScript(fixture, url, { onMessage, fetch } = {}) {
+  const dom = new JSDOM(readFixture(fixture), { url });
+  const chrome = createChromeMock({ onMessage });
+  const { window } = dom;
+  loadScripts(getContentScriptFiles(), {
+    chrome,
+    window,
+    document: window.document,
+    MutationObserver: window.MutationObserver,
+    DOMParser: window.DOMParser,
+    fetch,
+    console: quietConsole,
+    setTimeout: unrefTimeout
+  });
+  return { chrome, document: window.document };
+}
+
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for the content script');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('an abs page is retitled and reported to the background', async () => {
+  const { chrome, document } = runContentScript('abs-1706.03762.html', 'https://arxiv.org/abs/1706.03762v7');
+  const sent = () => chrome.runtime.sentMessages.find(message => message.action === 'updateTabTitle');
+  await waitFor(sent);
+
+  assert.equal(document.title, '[cs] Vaswani: Attention Is All You Need');
+  assert.equal(sent().title, document.title);
+  assert.equal(sent().paperData.id, '1706.03762');
+  assert.equal(sent().paperData.firstAuthor, 'Ashish Vaswani');
+  assert.deepEqual(sent().paperData.categories, ['cs.CL', 'cs.LG']);
+});
+
+test('the title guard puts the title back when the page changes it', async () => {
+  const { chrome, document } = runContentScript('abs-1706.03762.html', 'https://arxiv.org/abs/1706.03762');
+  await waitFor(() => chrome.runtime.sentMessages.some(message => message.action === 'updateTabTitle'));
+
+  document.title = '1706.03762';
+  await waitFor(() => document.title === '[cs] Vaswani: Attention Is All You Need');
+});
+
+test('a PDF page without cached data is titled from the fetched abs page', async () => {
+  const fetched = [];
+  const fetch = async (url) => {
+    fetched.push(url);
+    return { ok: true, text: async () => readFixture('abs-1706.03762.html') };
+  };
+  // Nothing cached and no export API answer, so the abs page is all there is
+  const onMessage = () => ({});
+
+  const { chrome, document } = runContentScript('pdf-1706.03762.html', 'https://arxiv.org/pdf/1706.03762v7', { onMessage, fetch });
+  await waitFor(() => chrome.runtime.sentMessages.some(message => message.action === 'updateTabTitle'));
+
+  assert.deepEqual(fetched, ['https://arxiv.org/abs/1706.03762']);
+  assert.equal(document.title, '[cs] Vaswani: Attention Is All You Need');
+  const cached = chrome.runtime.sentMessages.find(message => message.action === 'cachePaper');
+  assert.equal(cached.paperData.title, 'Attention Is All You Need');
+  assert.equal(cached.paperData.latestVersion, 7);
+});
+
+test('a PDF page with cached data is titled without fetching', async () => {
+  const paperData = {
+    id: '1706.03762',
+    title: 'Attention Is All You Need',
+    authorsList: ['Ashish Vaswani', 'Noam Shazeer'],
+    firstAuthor: 'Ashish Vaswani',
+    category: 'Computation and Language (cs.CL)'
+  };
+  const onMessage = (message) => (message.action === 'getPaper' ? { paperData } : {});
+  const fetch = async () => assert.fail('fetched the abs page despite cached data');
+
+  const { chrome, document } = runContentScript('pdf-1706.03762.html', 'https://arxiv.org/pdf/1706.03762', { onMessage, fetch });
+  await waitFor(() => chrome.runtime.sentMessages.some(message => message.action === 'updateTabTitle'));
+
+  assert.equal(document.title, '[cs] Vaswani: Attention Is All You Need');
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackground } = require('./helpers/start-background');
+
+// Tabs as findDuplicateTabs describes them
+const tab = (id, kind, version, extra = {}) => ({ id, windowId: 1, index: id, active: false, kind, version, grouped: false, ...extra });
+
+test('the preferred page kind is kept, newest version first', async () => {
+  const { manager } = await startBackground();
+  const tabs = [tab(1, 'pdf', 2), tab(2, 'abs', 1), tab(3, 'abs', null), tab(4, 'html', 3)];
+
+  assert.equal(manager.chooseTabToKeep(tabs, 'abs').id, 3); // Unversioned shows the latest
+  assert.equal(manager.chooseTabToKeep(tabs, 'pdf').id, 1);
+});
+
+test('"latest" keeps the newest version, preferring the abs page among equals', async () => {
+  const { manager } = await startBackground();
+
+  assert.equal(manager.chooseTabToKeep([tab(1, 'pdf', 2), tab(2, 'abs', 1), tab(3, 'html', 3)], 'latest').id, 3);
+  assert.equal(manager.chooseTabToKeep([tab(1, 'pdf', null), tab(2, 'abs', null)], 'latest').id, 2);
+});
+
+test('ties go to the active tab, then a grouped tab, then the leftmost', async () => {
+  const { manager } = await startBackground();
+
+  assert.equal(manager.chooseTabToKeep([tab(1, 'pdf', null), tab(2, 'pdf', null, { active: true })], 'pdf').id, 2);
+  assert.equal(manager.chooseTabToKeep([tab(1, 'pdf', null), tab(2, 'pdf', null, { grouped: true })], 'pdf').id, 2);
+  assert.equal(manager.chooseTabToKeep([tab(5, 'pdf', null), tab(2, 'pdf', null)], 'pdf').id, 2);
+});
+
+test('abs, pdf, html and versioned tabs of one paper are found and all but one closed', async () => {
+  const { chrome, manager } = await startBackground({
+    tabs: [
+      { id: 1, url: 'https://arxiv.org/abs/2301.00001' },
+      { id: 2, url: 'https://arxiv.org/pdf/2301.00001v2' },
+      { id: 3, url: 'https://arxiv.org/html/2301.00001v1' },
+      { id: 4, url: 'https://arxiv.org/abs/1706.03762' },
+      { id: 5, url: 'https://arxiv.org/abs/hep-th/9711200' },
+      { id: 6, url: 'https://arxiv.org/pdf/hep-th/9711200v3' },
+      { id: 7, url: 'https://example.com/abs/2301.00001' }
+    ]
+  });
+
+  const duplicates = await manager.findDuplicateTabs();
+  assert.deepEqual(duplicates.map(duplicate => [duplicate.paperId, duplicate.tabs.map(found => found.id)]), [
+    ['2301.00001', [1, 2, 3]],
+    ['hep-th/9711200', [5, 6]]
+  ]);
+
+  const result = await manager.closeDuplicateTabs({ paperId: '2301.00001', keep: 'pdf' });
+  assert.deepEqual(result, { closed: 2, papers: 1 });
+  assert.deepEqual(chrome.browser.tabs.map(open => open.id), [2, 4, 5, 6, 7]);
+
+  // Without a preference the duplicate-tabs setting decides, which keeps the abs page
+  await manager.closeDuplicateTabs();
+  assert.deepEqual(chrome.browser.tabs.map(open => open.id), [2, 4, 5, 7]);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+function createColors(local = {}) {
+  const chrome = createChromeMock({ local });
+  const { ArxivGroupColors, TAB_GROUP_COLORS, GROUP_COLORS_MAX_ASSIGNED } = loadScripts(['src/group-colors.js'], { chrome });
+  return { colors: new ArxivGroupColors(), chrome, TAB_GROUP_COLORS, GROUP_COLORS_MAX_ASSIGNED };
+}
+
+test('a key gets its hashed color when no other group has it', () => {
+  const { colors, TAB_GROUP_COLORS } = createColors();
+  const hashed = colors.getHashedColor('author:vaswani a');
+
+  assert.ok(TAB_GROUP_COLORS.includes(hashed));
+  assert.equal(colors.getHashedColor('author:vaswani a'), hashed);
+  assert.equal(colors.choose('author:vaswani a', []), hashed);
+});
+
+test('colors other groups in the window use are skipped', () => {
+  const { colors, TAB_GROUP_COLORS } = createColors();
+  const hashed = colors.getHashedColor('category:cs.LG');
+  const next = TAB_GROUP_COLORS[(TAB_GROUP_COLORS.indexOf(hashed) + 1) % TAB_GROUP_COLORS.length];
+
+  assert.equal(colors.choose('category:cs.LG', [hashed]), next);
+});
+
+test('with every color taken the least used one is picked', () => {
+  const { colors, TAB_GROUP_COLORS } = createColors();
+  const used = [...TAB_GROUP_COLORS, ...TAB_GROUP_COLORS.filter(color => color !== 'pink')];
+  assert.equal(colors.choose('author:vaswani a', used), 'pink');
+});
+
+test('a key keeps the color it had last time while that color is free', async () => {
+  const { colors, chrome } = createColors();
+  const first = await colors.allocate('author:vaswani a', []);
+  const elsewhere = await colors.allocate('author:jiang a', [first]);
+  assert.notEqual(elsewhere, first);
+
+  // Next session: jiang's old color is free again and preferred over its hashed one
+  const { colors: later } = createColors(chrome.storage.local.dump());
+  assert.equal(await later.allocate('author:jiang a', []), elsewhere);
+});
+
+test('pinned colors win even when taken, and unpinning falls back to choosing', async () => {
+  const { colors, chrome } = createColors();
+  await colors.pin('category:cs.LG', 'purple');
+
+  assert.equal(await colors.allocate('category:cs.LG', ['purple']), 'purple');
+  assert.deepEqual(chrome.storage.local.dump().groupColors.pins, { 'category:cs.LG': 'purple' });
+
+  await colors.pin('category:cs.LG', '');
+  assert.equal(colors.getPin('category:cs.LG'), null);
+  assert.notEqual(await colors.allocate('category:cs.LG', ['purple']), 'purple');
+
+  // A liked author's profile color is passed in and wins the same way
+  assert.equal(colors.choose('liked:author_1', ['red'], 'red'), 'red');
+});
+
+test('remembered assignments are capped, dropping the least recently used', async () => {
+  const assigned = {};
+  for (let i = 0; i < 500; i++) {
+    assigned[`tag:${i}`] = 'blue';
+  }
+  const { colors, GROUP_COLORS_MAX_ASSIGNED } = createColors({ groupColors: { pins: {}, assigned } });
+  assert.equal(GROUP_COLORS_MAX_ASSIGNED, 500);
+
+  await colors.allocate('tag:0', []); // Used again, so now the most recent
+  await colors.allocate('tag:new', []);
+  const keys = Object.keys(colors.assigned);
+  assert.equal(keys.length, GROUP_COLORS_MAX_ASSIGNED);
+  assert.deepEqual(keys.slice(-2), ['tag:0', 'tag:new']);
+  assert.ok(!keys.includes('tag:1'));
+  assert.ok(keys.includes('tag:2'));
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+const GROUPING_FILES = ['src/arxiv-id.js', 'src/authors.js', 'src/title-template.js', 'src/liked-authors.js', 'src/grouping.js'];
+
+function createGrouper(local = {}) {
+  const { ArxivGrouper } = loadScripts(GROUPING_FILES, { chrome: createChromeMock({ local }) });
+  return new ArxivGrouper();
+}
+
+const paper = {
+  id: '1706.03762',
+  title: 'Attention Is All You Need',
+  authorsList: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar'],
+  firstAuthor: 'Ashish Vaswani',
+  category: 'Computation and Language (cs.CL)'
+};
+
+const likedProfile = (name, options = {}) => ({
+  id: `author_${name.split(' ').pop().toLowerCase()}`,
+  name,
+  aliases: [],
+  label: '',
+  color: null,
+  grouping: 'auto',
+  ...options
+});
+
+test('the author strategy groups by the first author\'s normalized name', async () => {
+  const grouper = createGrouper();
+  assert.deepEqual(await grouper.getGroup('author', paper), { key: 'author:vaswani a', title: 'Vaswani' });
+
+  // The same author written differently lands in the same group
+  const initialed = { ...paper, firstAuthor: 'A. Vaswani' };
+  assert.equal((await grouper.getGroup('author', initialed)).key, 'author:vaswani a');
+});
+
+test('the category strategy groups by primary subject code', async () => {
+  const grouper = createGrouper();
+  assert.deepEqual(await grouper.getGroup('category', paper), { key: 'category:cs.CL', title: 'cs.CL' });
+  assert.equal(await grouper.getGroup('category', { ...paper, category: null }), null);
+});
+
+test('the liked-author strategy groups only papers with a liked author', async () => {
+  const grouper = createGrouper({ likedAuthors: [likedProfile('Noam Shazeer', { label: 'MoE', color: 'purple' })] });
+
+  assert.deepEqual(await grouper.getGroup('likedAuthor', paper), { key: 'liked:author_shazeer', title: 'MoE', color: 'purple' });
+  assert.equal(await grouper.getGroup('likedAuthor', { ...paper, authorsList: ['Ashish Vaswani'] }), null);
+});
+
+test('the tag strategy groups by the tag set in the popup', async () => {
+  const grouper = createGrouper({ paperTags: { '1706.03762': 'transformers' } });
+
+  assert.deepEqual(await grouper.getGroup('tag', paper), { key: 'tag:transformers', title: 'transformers' });
+  assert.equal(await grouper.getGroup('tag', { ...paper, id: '2310.06825' }), null);
+});
+
+test('a liked author on the paper takes the author strategy\'s group', async () => {
+  const grouper = createGrouper({ likedAuthors: [likedProfile('Niki Parmar')] });
+  assert.deepEqual(await grouper.getGroup('author', paper), { key: 'liked:author_parmar', title: 'Parmar', color: null });
+});
+
+test('"always" liked authors override every strategy and "never" ones are not grouped by', async () => {
+  const always = createGrouper({ likedAuthors: [likedProfile('Niki Parmar', { grouping: 'always' })] });
+  for (const strategy of ['author', 'category', 'likedAuthor', 'tag']) {
+    assert.equal((await always.getGroup(strategy, paper)).key, 'liked:author_parmar', strategy);
+  }
+
+  const never = createGrouper({ likedAuthors: [likedProfile('Ashish Vaswani', { grouping: 'never' })] });
+  assert.equal(await never.getGroup('author', paper), null);
+});
+
+test('an unknown strategy falls back to grouping by author', async () => {
+  const grouper = createGrouper();
+  assert.equal((await grouper.getGroup('missing', paper)).key, 'author:vaswani a');
+  assert.equal(await grouper.getGroup('author', null), null);
+});
@@ -0,0 +1,285 @@
+// In-memory stand-in for the chrome.* APIs the extension's scripts use, so tests run offline
+// and outside the browser. Storage areas behave like the promise-based chrome.storage API
+// and report changes to onChanged listeners; runtime messages go to the test's handler.
+// Tabs, tab groups and windows are kept in a small model of the browser that events fire from.
+
+function createEvent() {
+  const listeners = [];
+  return {
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => listeners.splice(listeners.indexOf(listener), 1),
+    hasListener: listener => listeners.includes(listener),
+    // Calls every listener, for tests that play the browser's part
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+// Match patterns like 'https://arxiv.org/abs/*'
+function matchesUrlPattern(url, pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*')}$`);
+  return regex.test(url);
+}
+
+function createStorageArea(areaName, initial, notify) {
+  let data = structuredClone(initial);
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return structuredClone(data);
+    if (typeof keys === 'string') keys = [keys];
+    if (Array.isArray(keys)) {
+      return Object.fromEntries(keys.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+    }
+    // An object names keys with their defaults
+    return Object.fromEntries(Object.entries(keys).map(([key, fallback]) => [key, key in data ? structuredClone(data[key]) : fallback]));
+  };
+
+  const update = (next) => {
+    const changes = {};
+    for (const key of new Set([...Object.keys(data), ...Object.keys(next)])) {
+      if (JSON.stringify(data[key]) !== JSON.stringify(next[key])) {
+        changes[key] = { oldValue: data[key], newValue: next[key] };
+      }
+    }
+    data = next;
+    if (Object.keys(changes).length > 0) {
+      notify(changes, areaName);
+    }
+  };
+
+  return {
+    async get(keys) {
+      return pick(keys);
+    },
+    async set(items) {
+      update({ ...data, ...structuredClone(items) });
+    },
+    async remove(keys) {
+      const next = { ...data };
+      [].concat(keys).forEach(key => delete next[key]);
+      update(next);
+    },
+    async clear() {
+      update({});
+    },
+    // What's stored, for assertions
+    dump() {
+      return structuredClone(data);
+    }
+  };
+}
+
+const TAB_GROUP_ID_NONE = -1;
+
+// The browser's tabs, tab groups and windows. Chrome removes a group once its last tab leaves.
+function createTabsModel(initialTabs, initialGroups, events) {
+  const tabs = initialTabs.map((tab, index) => ({
+    windowId: 1, index, active: false, groupId: TAB_GROUP_ID_NONE, title: '', ...tab
+  }));
+  const groups = initialGroups.map(group => ({ windowId: 1, title: '', color: 'grey', collapsed: false, ...group }));
+  let nextTabId = Math.max(100, ...tabs.map(tab => tab.id + 1));
+  let nextGroupId = Math.max(1, ...groups.map(group => group.id + 1));
+  let nextWindowId = Math.max(1, ...tabs.map(tab => tab.windowId)) + 1;
+
+  const findTab = (tabId) => {
+    const tab = tabs.find(candidate => candidate.id === tabId);
+    if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+    return tab;
+  };
+  const findGroup = (groupId) => {
+    const group = groups.find(candidate => candidate.id === groupId);
+    if (!group) throw new Error(`No group with id: ${groupId}.`);
+    return group;
+  };
+  const dropEmptyGroups = () => {
+    for (const group of [...groups]) {
+      if (!tabs.some(tab => tab.groupId === group.id)) {
+        groups.splice(groups.indexOf(group), 1);
+        events.groupRemoved.dispatch({ ...group });
+      }
+    }
+  };
+  const createTab = ({ url, windowId = 1, active = false }) => {
+    const tab = {
+      id: nextTabId++,
+      windowId,
+      index: tabs.filter(other => other.windowId === windowId).length,
+      active,
+      groupId: TAB_GROUP_ID_NONE,
+      title: '',
+      url
+    };
+    tabs.push(tab);
+    return tab;
+  };
+  const matches = (tab, query) => {
+    if (query.windowId !== undefined && tab.windowId !== query.windowId) return false;
+    if (query.groupId !== undefined && tab.groupId !== query.groupId) return false;
+    if (query.active !== undefined && tab.active !== query.active) return false;
+    if (query.currentWindow && tab.windowId !== 1) return false;
+    if (query.url && ![].concat(query.url).some(pattern => matchesUrlPattern(tab.url || '', pattern))) return false;
+    return true;
+  };
+
+  return {
+    tabs,
+    groups,
+    api: {
+      tabs: {
+        async get(tabId) {
+          return { ...findTab(tabId) };
+        },
+        async query(query = {}) {
+          return tabs.filter(tab => matches(tab, query)).map(tab => ({ ...tab }));
+        },
+        async create(properties) {
+          return { ...createTab(properties) };
+        },
+        async update(tabId, properties) {
+          Object.assign(findTab(tabId), properties);
+          return { ...findTab(tabId) };
+        },
+        async remove(tabIds) {
+          for (const tabId of [].concat(tabIds)) {
+            tabs.splice(tabs.indexOf(findTab(tabId)), 1);
+            events.tabRemoved.dispatch(tabId, {});
+          }
+          dropEmptyGroups();
+        },
+        async group({ tabIds, groupId }) {
+          const grouped = [].concat(tabIds).map(findTab);
+          let group;
+          if (groupId !== undefined) {
+            group = findGroup(groupId);
+          } else {
+            group = { id: nextGroupId++, windowId: grouped[0].windowId, title: '', color: 'grey', collapsed: false };
+            groups.push(group);
+          }
+          grouped.forEach(tab => { tab.groupId = group.id; });
+          dropEmptyGroups();
+          return group.id;
+        },
+        async ungroup(tabIds) {
+          [].concat(tabIds).map(findTab).forEach(tab => { tab.groupId = TAB_GROUP_ID_NONE; });
+          dropEmptyGroups();
+        },
+        async sendMessage() {
+          throw new Error('Could not establish connection. Receiving end does not exist.');
+        },
+        async reload() {},
+        onUpdated: events.tabUpdated,
+        onActivated: createEvent(),
+        onRemoved: events.tabRemoved
+      },
+      tabGroups: {
+        TAB_GROUP_ID_NONE,
+        async get(groupId) {
+          return { ...findGroup(groupId) };
+        },
+        async query(query = {}) {
+          return groups
+            .filter(group => query.windowId === undefined || group.windowId === query.windowId)
+            .map(group => ({ ...group }));
+        },
+        async update(groupId, properties) {
+          Object.assign(findGroup(groupId), properties);
+          return { ...findGroup(groupId) };
+        },
+        onCreated: createEvent(),
+        onUpdated: createEvent(),
+        onRemoved: events.groupRemoved
+      },
+      windows: {
+        async create({ url = [] } = {}) {
+          const windowId = nextWindowId++;
+          const created = [].concat(url).map(tabUrl => createTab({ url: tabUrl, windowId }));
+          return { id: windowId, tabs: created.map(tab => ({ ...tab })) };
+        },
+        async getCurrent() {
+          return { id: 1 };
+        },
+        async update() {}
+      }
+    }
+  };
+}
+
+// Options: initial contents of the local, sync and session areas; onMessage, which answers
+// chrome.runtime.sendMessage calls (return a value or a promise); and the open tabs and tab
+// groups, as { id, url, windowId, groupId } and { id, windowId, title, color } objects
+function createChromeMock({ local = {}, sync = {}, session = {}, onMessage = () => undefined, tabs = [], groups = [] } = {}) {
+  const storageListeners = [];
+  const notify = (changes, areaName) => storageListeners.forEach(listener => listener(changes, areaName));
+  const sentMessages = [];
+  const events = { tabUpdated: createEvent(), tabRemoved: createEvent(), groupRemoved: createEvent() };
+  const browser = createTabsModel(tabs, groups, events);
+  const runtimeMessages = createEvent();
+
+  return {
+    // The tab and group model behind the tabs, tabGroups and windows APIs, for assertions
+    browser,
+    runtime: {
+      id: 'test-extension',
+      lastError: undefined,
+      sentMessages,
+      sendMessage(message, callback) {
+        sentMessages.push(message);
+        const response = Promise.resolve().then(() => onMessage(message));
+        if (typeof callback === 'function') {
+          response.then(callback);
+          return undefined;
+        }
+        return response;
+      },
+      onMessage: runtimeMessages,
+      onInstalled: createEvent(),
+      onStartup: createEvent()
+    },
+    storage: {
+      local: createStorageArea('local', local, notify),
+      sync: createStorageArea('sync', sync, notify),
+      session: createStorageArea('session', session, notify),
+      onChanged: {
+        addListener: listener => storageListeners.push(listener),
+        removeListener: listener => storageListeners.splice(storageListeners.indexOf(listener), 1)
+      }
+    },
+    ...browser.api,
+    alarms: {
+      async create() {},
+      async clear() { return true; },
+      async get() { return undefined; },
+      onAlarm: createEvent()
+    },
+    commands: { onCommand: createEvent() },
+    contextMenus: {
+      create() {},
+      async removeAll() {},
+      onClicked: createEvent()
+    },
+    permissions: {
+      granted: [],
+      async contains({ origins = [] }) {
+        return origins.every(origin => this.granted.includes(origin));
+      },
+      async request({ origins = [] }) {
+        this.granted.push(...origins);
+        return true;
+      },
+      onAdded: createEvent(),
+      onRemoved: createEvent()
+    },
+    scripting: {
+      async executeScript() { return []; },
+      async getRegisteredContentScripts() { return []; },
+      async registerContentScripts() {},
+      async unregisterContentScripts() {},
+      async updateContentScripts() {}
+    },
+    action: {
+      async setBadgeText() {},
+      async setBadgeBackgroundColor() {}
+    }
+  };
+}
+
+module.exports = { createChromeMock };
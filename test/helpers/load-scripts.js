@@ -0,0 +1,53 @@
+// Loads extension scripts the way the manifest, importScripts and <script> tags do: classic
+// scripts sharing one scope, with chrome and any browser globals passed in. Each call gets a
+// fresh scope, so tests don't leak state into each other.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+const { createChromeMock } = require('./chrome-mock');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Top-level declarations, which the scripts share with each other and tests get back
+const DECLARATION_PATTERN = /^(?:class|const|let|var|function)\s+([A-Za-z_$][\w$]*)/gm;
+
+// files are paths from the repository root, e.g. 'src/arxiv-id.js'. Returns every class,
+// constant and function the scripts declare at top level.
+function loadScripts(files, globals = {}) {
+  const sources = files.map(file => fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'));
+  const names = sources.flatMap(source => Array.from(source.matchAll(DECLARATION_PATTERN), match => match[1]));
+
+  const scope = {
+    chrome: createChromeMock(),
+    DOMParser: new JSDOM('').window.DOMParser,
+    ...globals
+  };
+  const body = `${sources.join('\n;\n')}\nreturn { ${names.join(', ')} };`;
+  return new Function(...Object.keys(scope), body)(...Object.values(scope));
+}
+
+// The scripts the manifest injects into abs and pdf pages, in order
+function getContentScriptFiles() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'manifest.json'), 'utf8'));
+  return manifest.content_scripts.find(script => script.matches.includes('https://arxiv.org/abs/*')).js;
+}
+
+// The service worker with the scripts it imports, on a fresh in-memory IndexedDB. Pass the
+// chrome mock in globals to set up storage and tabs; arxivManager is the running manager.
+function loadBackground(globals = {}) {
+  const source = fs.readFileSync(path.join(ROOT_DIR, 'src', 'background.js'), 'utf8');
+  const imported = Array.from(source.match(/importScripts\(([^)]*)\)/)[1].matchAll(/'([^']+)'/g), match => `src/${match[1]}`);
+  return loadScripts([...imported, 'src/background.js'], {
+    importScripts: () => {},
+    indexedDB: new IDBFactory(),
+    ...globals
+  });
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(ROOT_DIR, 'test', 'fixtures', name), 'utf8');
+}
+
+module.exports = { loadScripts, loadBackground, getContentScriptFiles, readFixture };
@@ -0,0 +1,34 @@
+// Runs the service worker against the chrome mock, for tests that drive it like the browser
+
+const { IDBFactory } = require('fake-indexeddb');
+const { loadBackground } = require('./load-scripts');
+const { createChromeMock } = require('./chrome-mock');
+
+const quietConsole = { log() {}, warn() {}, error() {}, debug() {} };
+
+// Timers the worker leaves running must not keep the test process alive
+const unrefTimeout = (callback, delay, ...args) => {
+  const timer = setTimeout(callback, delay, ...args);
+  timer.unref();
+  return timer;
+};
+
+// Starts the worker on the given storage and open tabs (see createChromeMock) once it has
+// loaded its settings, group registry and paper store. Pass indexedDB to share the database
+// with stores a test opens itself, as the popup and options page do.
+async function startBackground({ indexedDB = new IDBFactory(), ...options } = {}) {
+  const chrome = createChromeMock(options);
+  const { arxivManager } = loadBackground({ chrome, indexedDB, console: quietConsole, setTimeout: unrefTimeout });
+  await Promise.all([arxivManager.settingsReady, arxivManager.registryReady, arxivManager.storeReady]);
+  return { chrome, manager: arxivManager };
+}
+
+// A message from the content script in the given tab, resolving with the response
+function sendFromTab(chrome, tabId, message) {
+  return new Promise(resolve => chrome.runtime.onMessage.dispatch(message, { tab: { id: tabId } }, resolve));
+}
+
+// Lets listeners the test dispatched finish their async work
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+module.exports = { startBackground, sendFromTab, settle };
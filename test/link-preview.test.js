@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+// Decorating waits for changes to settle; tests don't need to wait that long
+const quickTimeout = (callback) => {
+  const timer = setTimeout(callback, 0);
+  timer.unref();
+  return timer;
+};
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Runs the previews script the way the background registers it, on a third-party page
+function runLinkPreview(body) {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { url: 'https://scholar.example.com/' });
+  loadScripts(['src/arxiv-id.js', 'src/link-preview.js'], {
+    chrome: createChromeMock(),
+    window,
+    document: window.document,
+    MutationObserver: window.MutationObserver,
+    Element: window.Element,
+    Node: window.Node,
+    setTimeout: quickTimeout
+  });
+  return window.document;
+}
+
+const isDecorated = link => link.style.textDecorationStyle === 'dotted';
+
+test('arXiv links are styled and the page\'s markup is left alone', () => {
+  const document = runLinkPreview(`
+    <a id="abs" href="https://arxiv.org/abs/2106.09685">LoRA</a>
+    <a id="pdf" href="https://arxiv.org/pdf/hep-th/9711200v3">AdS/CFT</a>
+    <a id="other" href="https://example.com/abs/2106.09685">Not arXiv</a>
+  `);
+
+  assert.ok(isDecorated(document.getElementById('abs')));
+  assert.ok(isDecorated(document.getElementById('pdf')));
+  assert.ok(!isDecorated(document.getElementById('other')));
+  for (const link of document.querySelectorAll('a')) {
+    assert.deepEqual(Object.keys(link.dataset), []);
+    assert.equal(link.getAttribute('style') || '', isDecorated(link) ? 'text-decoration-style: dotted;' : '');
+  }
+});
+
+test('links added later are styled without scanning the whole page again', async () => {
+  const document = runLinkPreview('<div id="feed"><a href="https://arxiv.org/abs/1706.03762">Attention</a></div>');
+  let pageScans = 0;
+  const querySelectorAll = document.querySelectorAll.bind(document);
+  document.querySelectorAll = (selector) => {
+    pageScans++;
+    return querySelectorAll(selector);
+  };
+
+  const post = document.createElement('article');
+  post.innerHTML = '<p>New: <a href="https://arxiv.org/abs/2310.06825">Mistral</a></p>';
+  document.getElementById('feed').append(post);
+  const link = document.createElement('a');
+  link.href = 'https://arxiv.org/pdf/2005.14165';
+  document.body.append(link);
+  await settle();
+
+  assert.ok(isDecorated(post.querySelector('a')));
+  assert.ok(isDecorated(link));
+  assert.equal(pageScans, 0);
+});
+
+test('a link whose href changes to arXiv is styled', async () => {
+  const document = runLinkPreview('<a id="link" href="https://example.com/">Later</a>');
+  const link = document.getElementById('link');
+  assert.ok(!isDecorated(link));
+
+  link.href = 'https://arxiv.org/abs/2106.09685';
+  await settle();
+  assert.ok(isDecorated(link));
+});
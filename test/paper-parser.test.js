@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadScripts, readFixture } = require('./helpers/load-scripts');
+
+const { ArxivPaperParser, PAPER_SCHEMA_VERSION } = loadScripts(['src/arxiv-id.js', 'src/paper-schema.js', 'src/paper-parser.js']);
+const parser = new ArxivPaperParser();
+
+test('a new-style ID with one version', () => {
+  const record = parser.parseHtml(readFixture('abs-2310.06825.html'));
+
+  assert.deepEqual(record, {
+    schemaVersion: PAPER_SCHEMA_VERSION,
+    title: 'Mistral 7B',
+    authors: 'Albert Q. Jiang, Alexandre Sablayrolles, Arthur Mensch, Chris Bamford, Devendra Singh Chaplot, Diego de las Casas',
+    authorsList: [
+      'Albert Q. Jiang', 'Alexandre Sablayrolles', 'Arthur Mensch',
+      'Chris Bamford', 'Devendra Singh Chaplot', 'Diego de las Casas'
+    ],
+    category: 'Computation and Language (cs.CL)',
+    categories: ['cs.CL', 'cs.AI', 'cs.LG'],
+    abstract: 'We introduce Mistral 7B v0.1, a 7-billion-parameter language model engineered for superior performance and efficiency.',
+    submittedAt: '2023-10-10T17:54:58.000Z',
+    updatedAt: '2023-10-10T17:54:58.000Z',
+    versions: [{ version: 1, date: '2023-10-10T17:54:58.000Z', size: '2,398 KB' }],
+    latestVersion: 1,
+    comments: 'Models and code are available at this https URL',
+    journalRef: null,
+    doi: null,
+    license: 'http://creativecommons.org/licenses/by/4.0/'
+  });
+});
+
+test('a multi-version paper', () => {
+  const record = parser.parseHtml(readFixture('abs-1706.03762.html'));
+
+  assert.equal(record.schemaVersion, PAPER_SCHEMA_VERSION);
+  assert.equal(record.title, 'Attention Is All You Need');
+  assert.equal(record.authors, 'Ashish Vaswani, Noam Shazeer, Niki Parmar, Jakob Uszkoreit, Llion Jones, Aidan N. Gomez, Lukasz Kaiser, Illia Polosukhin');
+  assert.deepEqual(record.authorsList, [
+    'Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar', 'Jakob Uszkoreit',
+    'Llion Jones', 'Aidan N. Gomez', 'Lukasz Kaiser', 'Illia Polosukhin'
+  ]);
+  assert.equal(record.category, 'Computation and Language (cs.CL)');
+  assert.deepEqual(record.categories, ['cs.CL', 'cs.LG']);
+  assert.match(record.abstract, /^The dominant sequence transduction models .* dispensing with recurrence and convolutions entirely\.$/);
+  assert.equal(record.submittedAt, '2017-06-12T17:57:34.000Z');
+  assert.equal(record.updatedAt, '2023-08-02T00:41:18.000Z');
+  assert.deepEqual(record.versions, [
+    { version: 1, date: '2017-06-12T17:57:34.000Z', size: '1,102 KB' },
+    { version: 2, date: '2017-06-19T16:49:45.000Z', size: '1,125 KB' },
+    { version: 3, date: '2017-06-20T05:20:02.000Z', size: '1,125 KB' },
+    { version: 4, date: '2017-06-30T17:29:30.000Z', size: '1,124 KB' },
+    { version: 5, date: '2017-12-06T03:30:32.000Z', size: '1,124 KB' },
+    { version: 6, date: '2023-07-24T00:48:54.000Z', size: '1,124 KB' },
+    { version: 7, date: '2023-08-02T00:41:18.000Z', size: '1,124 KB' }
+  ]);
+  assert.equal(record.latestVersion, 7);
+  assert.equal(record.comments, '15 pages, 5 figures');
+  assert.equal(record.journalRef, null);
+  // The arXiv-issued DOI row isn't the published version's DOI
+  assert.equal(record.doi, null);
+  assert.equal(record.license, 'http://arxiv.org/licenses/nonexclusive-distrib/1.0/');
+});
+
+test('an old-style ID with journal reference and DOI', () => {
+  const record = parser.parseHtml(readFixture('abs-hep-th-9711200.html'));
+
+  assert.deepEqual(record, {
+    schemaVersion: PAPER_SCHEMA_VERSION,
+    title: 'The Large N Limit of Superconformal Field Theories and Supergravity',
+    authors: 'Juan M. Maldacena',
+    authorsList: ['Juan M. Maldacena'],
+    category: 'High Energy Physics - Theory (hep-th)',
+    categories: ['hep-th'],
+    abstract: 'We show that the large $N$ limit of certain conformal field theories in various dimensions include in their Hilbert space a sector describing supergravity on the product of Anti-deSitter spacetimes, spheres and other compact manifolds.',
+    submittedAt: '1997-11-27T21:01:09.000Z',
+    updatedAt: '1998-01-22T18:33:13.000Z',
+    versions: [
+      { version: 1, date: '1997-11-27T21:01:09.000Z', size: '26 KB' },
+      { version: 2, date: '1997-12-08T23:35:49.000Z', size: '28 KB' },
+      { version: 3, date: '1998-01-22T18:33:13.000Z', size: '28 KB' }
+    ],
+    latestVersion: 3,
+    comments: '20 pages, harvmac, v2: section on N=0 theories added, references added, v3: references added',
+    journalRef: 'Adv.Theor.Math.Phys.2:231-252,1998',
+    doi: '10.1023/A:1026654312961',
+    license: 'http://arxiv.org/licenses/assumed-1991-2003/'
+  });
+});
+
+test('a new-style ID with journal reference and DOI', () => {
+  const record = parser.parseHtml(readFixture('abs-1207.7214.html'));
+
+  assert.deepEqual(record, {
+    schemaVersion: PAPER_SCHEMA_VERSION,
+    title: 'Observation of a new particle in the search for the Standard Model Higgs boson with the ATLAS detector at the LHC',
+    authors: 'ATLAS Collaboration',
+    authorsList: ['ATLAS Collaboration'],
+    category: 'High Energy Physics - Experiment (hep-ex)',
+    categories: ['hep-ex'],
+    abstract: 'A search for the Standard Model Higgs boson in proton-proton collisions with the ATLAS detector at the LHC is presented.',
+    submittedAt: '2012-07-31T17:52:45.000Z',
+    updatedAt: '2012-08-31T07:55:57.000Z',
+    versions: [
+      { version: 1, date: '2012-07-31T17:52:45.000Z', size: '1,455 KB' },
+      { version: 2, date: '2012-08-31T07:55:57.000Z', size: '1,458 KB' }
+    ],
+    latestVersion: 2,
+    comments: '24 pages plus author list (38 pages total), 12 figures, 7 tables, revised author list',
+    journalRef: 'Phys.Lett. B716 (2012) 1-29',
+    doi: '10.1016/j.physletb.2012.08.020',
+    license: 'http://creativecommons.org/licenses/by/3.0/'
+  });
+});
+
+test('the live page and its fetched HTML parse the same', () => {
+  for (const [fixture, url] of [
+    ['abs-1706.03762.html', 'https://arxiv.org/abs/1706.03762v7'],
+    ['abs-hep-th-9711200.html', 'https://arxiv.org/abs/hep-th/9711200']
+  ]) {
+    const html = readFixture(fixture);
+    const live = new JSDOM(html, { url }).window.document;
+    assert.deepEqual(parser.parseDocument(live), parser.parseHtml(html));
+  }
+});
+
+test('a PDF viewer page has no paper fields to read', () => {
+  const record = parser.parseHtml(readFixture('pdf-1706.03762.html'));
+  assert.equal(record.title, null);
+  assert.deepEqual(record.authorsList, []);
+  assert.deepEqual(record.versions, []);
+});
+
+test('author lists drop "and" and stray whitespace', () => {
+  assert.deepEqual(parser.parseAuthors('Ashish Vaswani,  Noam\n Shazeer, and Niki Parmar'), ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar']);
+  assert.deepEqual(parser.parseAuthors(null), []);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture } = require('./helpers/load-scripts');
+
+const { ArxivPaperSchema, ArxivPaperParser, PAPER_SCHEMA_VERSION, PAPER_RECORD_DEFAULTS } =
+  loadScripts(['src/arxiv-id.js', 'src/paper-schema.js', 'src/paper-parser.js']);
+const schema = new ArxivPaperSchema();
+
+// What version 1 cached for a paper: no schemaVersion, only the title-bar fields
+const v1Record = {
+  id: 'hep-th/9711200',
+  title: 'The Large N Limit of Superconformal Field Theories and Supergravity',
+  authors: 'Juan M. Maldacena',
+  authorsList: ['Juan M. Maldacena'],
+  firstAuthor: 'Juan M. Maldacena',
+  category: 'High Energy Physics - Theory (hep-th)',
+  url: 'https://arxiv.org/abs/hep-th/9711200',
+  timestamp: 880664469000
+};
+
+test('version 1 records migrate to the current schema', () => {
+  assert.equal(PAPER_SCHEMA_VERSION, 2);
+  assert.equal(schema.needsMigration(v1Record), true);
+
+  assert.deepEqual(schema.migrate(v1Record), {
+    ...PAPER_RECORD_DEFAULTS,
+    ...v1Record,
+    categories: ['hep-th'],
+    schemaVersion: 2
+  });
+});
+
+test('a version 1 record without a category gets no categories', () => {
+  const migrated = schema.migrate({ id: '2310.06825', title: 'Mistral 7B' });
+  assert.equal(migrated.schemaVersion, 2);
+  assert.equal(migrated.category, null);
+  assert.deepEqual(migrated.categories, []);
+  assert.deepEqual(migrated.versions, []);
+});
+
+test('freshly parsed records are already current', () => {
+  const parser = new ArxivPaperParser();
+  for (const fixture of ['abs-2310.06825.html', 'abs-1706.03762.html', 'abs-hep-th-9711200.html', 'abs-1207.7214.html']) {
+    const record = parser.parseHtml(readFixture(fixture));
+    assert.equal(schema.needsMigration(record), false, fixture);
+    assert.deepEqual(schema.migrate(record), record, fixture);
+  }
+});
+
+test('missing records pass through', () => {
+  assert.equal(schema.migrate(null), null);
+  assert.equal(schema.needsMigration(null), false);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+const STORE_FILES = ['src/arxiv-id.js', 'src/authors.js', 'src/paper-schema.js', 'src/paper-store.js'];
+
+function openStore(options) {
+  const chrome = createChromeMock();
+  const { ArxivPaperStore } = loadScripts(STORE_FILES, { chrome, indexedDB: new IDBFactory() });
+  return { chrome, store: new ArxivPaperStore(options) };
+}
+
+const record = (id, lastAccessed) => ({ id, title: `Paper ${id}`, authorsList: ['Ashish Vaswani'], lastAccessed });
+
+// Resolves once condition() holds, checking between IndexedDB's own callbacks
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.fail('Timed out waiting for the store');
+}
+
+test('lookups outside the background write their access times straight away', async () => {
+  const { store } = openStore();
+  await store.putMany([record('1706.03762', 1000)], { keepAccessTimes: true });
+
+  await store.get('https://arxiv.org/abs/1706.03762');
+  assert.equal(store.accessTimer, null);
+  await waitFor(async () => (await store.getAll())[0].lastAccessed > 1000);
+});
+
+test('the background holds access times back and writes them together', async () => {
+  const { store } = openStore({ background: true });
+  await store.putMany([record('1706.03762', 1000), record('1706.03765', 1000)], { keepAccessTimes: true });
+
+  await store.getMany(['1706.03762', '1706.03765']);
+  assert.notEqual(store.accessTimer, null);
+  assert.deepEqual((await store.getAll()).map(paper => paper.lastAccessed), [1000, 1000]);
+
+  await store.flushAccessTimes();
+  assert.ok((await store.getAll()).every(paper => paper.lastAccessed > 1000));
+});
+
+test('writes outside the background tell it which papers changed', async () => {
+  const { chrome, store } = openStore();
+  await store.put(record('1706.03762'));
+  await store.setSaved(['1706.03762']);
+  await store.remove('1706.03762');
+  await store.clear();
+
+  assert.deepEqual(chrome.runtime.sentMessages, [
+    { action: 'paperStoreChanged', paperIds: ['1706.03762'] },
+    { action: 'paperStoreChanged', paperIds: ['1706.03762'] },
+    { action: 'paperStoreChanged', paperIds: ['1706.03762'] },
+    { action: 'paperStoreChanged', paperIds: null }
+  ]);
+});
+
+test('the background\'s own writes send nothing', async () => {
+  const { chrome, store } = openStore({ background: true });
+  await store.put(record('1706.03762'));
+  await store.clear();
+  assert.deepEqual(chrome.runtime.sentMessages, []);
+});
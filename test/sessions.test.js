@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+function createSessions(local = {}) {
+  const chrome = createChromeMock({ local });
+  const { ArxivSessions, SESSIONS_STORAGE_KEY } = loadScripts(['src/sessions.js'], { chrome });
+  return { sessions: new ArxivSessions(), chrome, SESSIONS_STORAGE_KEY };
+}
+
+const tab = (paperId, group = null, kind = 'abs') => ({ paperId, kind, version: null, group });
+
+const stored = {
+  researchSessions: {
+    target: {
+      id: 'target',
+      name: 'Transformers',
+      tabs: [tab('1706.03762', 0), tab('2310.06825', 1), tab('1512.03385')],
+      groups: [
+        { key: 'author:vaswani a', title: 'Vaswani', color: 'blue', collapsed: false },
+        { key: null, title: 'To read', color: 'red', collapsed: true }
+      ],
+      createdAt: 1,
+      updatedAt: 1
+    },
+    source: {
+      id: 'source',
+      name: 'Reading group',
+      tabs: [
+        tab('1706.03762', 0), // Already in the target
+        tab('1706.03762', 0, 'pdf'), // Same paper, other page kind
+        tab('1810.04805', 1), // Hand-made group matching the target's by title and color
+        tab('2005.14165', 2),
+        tab('1409.0473')
+      ],
+      groups: [
+        { key: 'author:vaswani a', title: 'Vaswani', color: 'cyan', collapsed: false },
+        { key: null, title: 'To read', color: 'red', collapsed: false },
+        { key: 'category:cs.CL', title: 'cs.CL', color: 'green', collapsed: false }
+      ],
+      createdAt: 2,
+      updatedAt: 2
+    }
+  }
+};
+
+test('a new session is stored with its tabs and groups', async () => {
+  const { sessions, chrome, SESSIONS_STORAGE_KEY } = createSessions();
+  const groups = [{ key: 'author:vaswani a', title: 'Vaswani', color: 'blue', collapsed: false }];
+  const session = await sessions.create('  Transformers  ', { tabs: [tab('1706.03762', 0)], groups });
+
+  assert.equal(session.name, 'Transformers');
+  assert.deepEqual(chrome.storage.local.dump()[SESSIONS_STORAGE_KEY][session.id].groups, groups);
+  assert.match((await sessions.create('', { tabs: [], groups: [] })).name, /^Session /);
+});
+
+test('sessions are listed most recently changed first', async () => {
+  const { sessions } = createSessions(stored);
+  await sessions.load();
+  assert.deepEqual(sessions.list().map(session => session.id), ['source', 'target']);
+});
+
+test('renaming trims the name and rejects empty ones', async () => {
+  const { sessions, chrome } = createSessions(stored);
+
+  const renamed = await sessions.rename('target', '  Attention papers ');
+  assert.equal(renamed.name, 'Attention papers');
+  assert.ok(renamed.updatedAt > 1);
+  assert.equal(chrome.storage.local.dump().researchSessions.target.name, 'Attention papers');
+
+  await assert.rejects(sessions.rename('target', '   '), /Session name cannot be empty/);
+  await assert.rejects(sessions.rename('missing', 'Name'), /Session not found/);
+});
+
+test('merging appends new tabs, combines matching groups and deletes the sources', async () => {
+  const { sessions, chrome } = createSessions(stored);
+
+  const merged = await sessions.merge('target', ['source']);
+
+  assert.equal(merged.name, 'Transformers');
+  assert.deepEqual(merged.tabs.map(({ paperId, kind, group }) => [paperId, kind, group]), [
+    ['1706.03762', 'abs', 0],
+    ['2310.06825', 'abs', 1],
+    ['1512.03385', 'abs', null],
+    ['1706.03762', 'pdf', 0],
+    ['1810.04805', 'abs', 1],
+    ['2005.14165', 'abs', 2],
+    ['1409.0473', 'abs', null]
+  ]);
+  // The target's groups keep their colors; only the new one is added
+  assert.deepEqual(merged.groups.map(group => [group.title, group.color]), [['Vaswani', 'blue'], ['To read', 'red'], ['cs.CL', 'green']]);
+  assert.deepEqual(Object.keys(chrome.storage.local.dump().researchSessions), ['target']);
+});
+
+test('merging into a missing session fails and a session is not merged into itself', async () => {
+  const { sessions } = createSessions(stored);
+  await assert.rejects(sessions.merge('missing', ['source']), /Session not found/);
+
+  const merged = await sessions.merge('target', ['target']);
+  assert.equal(merged.tabs.length, 3);
+  assert.ok(sessions.get('target'));
+});
+
+test('removing a session deletes it', async () => {
+  const { sessions, chrome } = createSessions(stored);
+  await sessions.remove('source');
+  await sessions.remove('missing');
+  assert.deepEqual(Object.keys(chrome.storage.local.dump().researchSessions), ['target']);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { ArxivTitleBuilder, SAMPLE_PAPER } = loadScripts(['src/arxiv-id.js', 'src/authors.js', 'src/title-template.js']);
+
+const paper = {
+  id: '1706.03762',
+  title: 'Attention Is All You Need',
+  authorsList: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar'],
+  firstAuthor: 'Ashish Vaswani',
+  category: 'Computation and Language (cs.CL)'
+};
+
+test('the default template shows category, author and title', () => {
+  const builder = new ArxivTitleBuilder();
+  assert.equal(builder.build(paper, 'https://arxiv.org/abs/1706.03762'), '[cs] Vaswani: Attention Is All You Need');
+});
+
+test('every token renders', () => {
+  const builder = new ArxivTitleBuilder('{author}|{authors}|{cat}|{subcat}|{id}|{version}|{year}|{kind}', 200);
+  assert.equal(
+    builder.build(paper, 'https://arxiv.org/pdf/1706.03762v7'),
+    'Vaswani|Vaswani et al.|cs|cs.CL|1706.03762|v7|2017|pdf'
+  );
+});
+
+test('the primary subject is cut down to its code, not split on spaces', () => {
+  const builder = new ArxivTitleBuilder('[{subcat}] {title}');
+  assert.equal(builder.build(paper), '[cs.CL] Attention Is All You Need');
+  assert.equal(
+    builder.build({ ...paper, category: 'High Energy Physics - Theory (hep-th)' }),
+    '[hep-th] Attention Is All You Need'
+  );
+});
+
+test('author names go through the shared name parser', () => {
+  const builder = new ArxivTitleBuilder('{author}: {title}');
+  assert.equal(builder.build({ ...paper, firstAuthor: 'Laurens van der Maaten' }), 'van der Maaten: Attention Is All You Need');
+  assert.equal(builder.build({ ...paper, firstAuthor: 'LeCun, Yann' }), 'LeCun: Attention Is All You Need');
+});
+
+test('authors shortens one, two and more authors', () => {
+  const builder = new ArxivTitleBuilder();
+  assert.equal(builder.getAuthorsEtAl(['Ashish Vaswani']), 'Vaswani');
+  assert.equal(builder.getAuthorsEtAl(['Ashish Vaswani', 'Noam Shazeer']), 'Vaswani & Shazeer');
+  assert.equal(builder.getAuthorsEtAl(paper.authorsList), 'Vaswani et al.');
+  assert.equal(builder.getAuthorsEtAl([]), '');
+});
+
+test('missing tokens leave no empty brackets or separators behind', () => {
+  const builder = new ArxivTitleBuilder();
+  assert.equal(builder.build({ id: '1706.03762', title: 'Attention Is All You Need' }), 'Attention Is All You Need');
+  assert.equal(new ArxivTitleBuilder('{title} ({kind})').build(paper, '1706.03762'), 'Attention Is All You Need');
+});
+
+test('long titles are truncated to fit, keeping the other tokens', () => {
+  const builder = new ArxivTitleBuilder(undefined, 30);
+  const title = builder.build({ ...paper, title: 'A Very Long Title About Transformers And Attention Mechanisms' });
+  assert.ok(title.length <= 30, title);
+  assert.match(title, /^\[cs\] Vaswani: A Very Long.*\.\.\.$/);
+});
+
+test('the year comes from new- and old-style IDs', () => {
+  const builder = new ArxivTitleBuilder();
+  assert.equal(builder.getYear('1706.03762'), '2017');
+  assert.equal(builder.getYear('hep-th/9711200'), '1997');
+  assert.equal(builder.getYear('math/0309136'), '2003');
+  assert.equal(builder.getYear('not an id'), '');
+});
+
+test('papers without a title build no title', () => {
+  assert.equal(new ArxivTitleBuilder().build({ id: '1706.03762' }), null);
+  assert.equal(new ArxivTitleBuilder().build(null), null);
+});
+
+test('the sample paper previews with the default template', () => {
+  assert.equal(new ArxivTitleBuilder().build(SAMPLE_PAPER), '[cs] Vaswani: Attention Is All You Need');
+});